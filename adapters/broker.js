@@ -0,0 +1,181 @@
+const net = require('net');
+const debug = require('debug')('networking:broker');
+
+/**
+ * Sends message through broker socket.
+ * Messages are JSON objects divided with \n.
+ *
+ * @param {net.Socket} socket Broker socket
+ * @param {Object} message Sent message
+ * @returns {void}
+ */
+function send(socket, message) {
+  if (!socket.destroyed) socket.write(`${JSON.stringify(message)}\n`);
+}
+
+/**
+ * Calls handler for each message received through broker socket
+ *
+ * @param {net.Socket} socket Broker socket
+ * @param {function} handler Callback function. Called with parsed message.
+ * @returns {void}
+ */
+function receive(socket, handler) {
+  let buffer = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    // Last line can be incomplete, so keep it in buffer
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(line => line.length > 0).forEach((line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (err) {
+        debug('malformed message: ', line);
+        return;
+      }
+      handler(message);
+    });
+  });
+}
+
+/**
+ * Broker, that connects networking processes with each other.
+ * Keeps global room registry and routes messages between processes.
+ *
+ * Can be started as a separate process: node adapters/broker.js [port or socket path]
+ *
+ * @class Broker
+ */
+class Broker {
+  /**
+   * Creates an instance of Broker.
+   * @param {Object} options Options, passed to net.Server.listen
+   * @param {?Number} options.port Broker TCP port
+   * @param {?String} options.host Broker TCP host. Local interface by default.
+   * @param {?String} options.path IPC socket path. Used instead of port, if specified.
+   * @memberof Broker
+   */
+  constructor(options = {}) {
+    this.options = options.path ? { path: options.path } : {
+      port: options.port || 4000,
+      host: options.host || '127.0.0.1',
+    };
+    // Connected processes, indexed by process id
+    this.processes = {};
+    // Owner process id of each room, indexed by room name.
+    // Names are chosen by clients, so Map is used and they can't match object properties.
+    this.rooms = new Map();
+  }
+
+  /**
+   * Starts accepting process connections
+   *
+   * @returns {void}
+   * @memberof Broker
+   */
+  listen() {
+    if (this.server) throw new Error('Broker.listen was called already');
+    this.server = net.createServer(socket => this.addProcess(socket));
+    this.server.listen(this.options);
+  }
+
+  /**
+   * Stops broker and disconnects all processes
+   *
+   * @returns {void}
+   * @memberof Broker
+   */
+  close() {
+    if (!this.server) return;
+    Object.values(this.processes).forEach(socket => socket.destroy());
+    this.server.close();
+    this.server = undefined;
+  }
+
+  /**
+   * Handles messages of connected process
+   *
+   * @param {net.Socket} socket Process socket
+   * @returns {void}
+   * @memberof Broker
+   */
+  addProcess(socket) {
+    let id;
+
+    receive(socket, (message) => {
+      if (message.type === 'hello') {
+        ({ id } = message);
+        this.processes[id] = socket;
+        // Send rooms of all other processes as [name, owner] pairs
+        send(socket, { type: 'rooms', rooms: Array.from(this.rooms) });
+        console.log(`Networking process connected to broker: ${id}`);
+        return;
+      }
+      // Process should introduce itself first
+      if (id == null) return;
+
+      if (message.to != null) {
+        // Message is addressed to another process, so just route it
+        const target = this.processes[message.to];
+        if (target) send(target, Object.assign({}, message, { from: id }));
+      } else if (message.type === 'room:reserve') {
+        // First process, that has taken room name, owns it. Others should pick another name.
+        const { name } = message;
+        if (typeof name !== 'string') return;
+        const owner = this.rooms.get(name);
+        if (owner == null) {
+          this.rooms.set(name, id);
+          this.broadcast({ type: 'room:add', name, owner: id }, id);
+        }
+        send(socket, { type: 'room:reserved', name, accepted: owner == null || owner === id });
+      } else if (message.type === 'room:remove') {
+        if (this.rooms.get(message.name) !== id) return;
+        this.rooms.delete(message.name);
+        this.broadcast({ type: 'room:remove', name: message.name }, id);
+      }
+    });
+
+    socket.on('error', err => debug('process socket error: ', err.message));
+    socket.on('close', () => {
+      // Process could be replaced with new connection with same id
+      if (id == null || this.processes[id] !== socket) return;
+      delete this.processes[id];
+      // Rooms of lost process are not available anymore
+      this.rooms.forEach((owner, name) => {
+        if (owner !== id) return;
+        this.rooms.delete(name);
+        this.broadcast({ type: 'room:remove', name });
+      });
+      this.broadcast({ type: 'process:lost', id });
+      console.log(`Networking process disconnected from broker: ${id}`);
+    });
+  }
+
+  /**
+   * Sends message to all processes
+   *
+   * @param {Object} message Sent message
+   * @param {?string} exceptId Process, that shouldn't receive message
+   * @returns {void}
+   * @memberof Broker
+   */
+  broadcast(message, exceptId) {
+    Object.keys(this.processes)
+      .filter(id => id !== exceptId)
+      .forEach(id => send(this.processes[id], message));
+  }
+}
+
+// Start broker, if this file is executed directly
+if (require.main === module) {
+  const address = process.argv[2];
+  const options = address && Number.isNaN(+address) ? { path: address } : { port: +address };
+  new Broker(options).listen();
+}
+
+module.exports = Broker;
+module.exports.send = send;
+module.exports.receive = receive;
@@ -0,0 +1,148 @@
+/**
+ * Default room registry adapter. Keeps all rooms in memory of current process.
+ *
+ * Adapter interface, that is used by Networking:
+ * * attach(networking) - called once, when networking starts listening.
+ * * hasRoom(name) - checks if room name is taken or reserved, no matter which process hosts it.
+ * * getRoom(name) - returns room, that is hosted by current process.
+ * * getRooms() - returns all rooms, that are hosted by current process.
+ * * reserveRoom(name) - takes room name before room is opened. Returns a promise, that is
+ *   resolved with false, if name is taken already, and rejected, if registry is not reachable.
+ * * releaseRoom(name) - frees reserved name, if room wasn't opened with it.
+ * * addRoom(room) / removeRoom(room) - called when room is opened / disposed.
+ *   Room name should be reserved before room is opened.
+ * * bridge(connection, roomName, event, ...args) - passes connection to process, that hosts room.
+ * * close() - called when networking is stopped.
+ *
+ * @class MemoryAdapter
+ */
+class MemoryAdapter {
+  /**
+   * Creates an instance of MemoryAdapter.
+   *
+   * @memberof MemoryAdapter
+   */
+  constructor() {
+    // Rooms have no prototype, so names like '__proto__' are stored as usual keys
+    this.rooms = Object.create(null);
+    // Names, that are reserved for rooms, that are being opened
+    this.reservedNames = new Set();
+  }
+
+  /**
+   * Binds adapter to networking instance
+   *
+   * @param {Networking} networking Networking instance, that uses this adapter
+   * @returns {void}
+   * @memberof MemoryAdapter
+   */
+  attach(networking) {
+    this.networking = networking;
+  }
+
+  /**
+   * Checks if room name is taken
+   *
+   * @param {string} name Room name
+   * @returns {boolean} True if room exists or it's name is reserved
+   * @memberof MemoryAdapter
+   */
+  hasRoom(name) {
+    return Object.prototype.hasOwnProperty.call(this.rooms, name) || this.reservedNames.has(name);
+  }
+
+  /**
+   * Returns room, that is hosted by this process
+   *
+   * @param {string} name Room name
+   * @returns {?Room} Room or undefined, if it's not hosted here
+   * @memberof MemoryAdapter
+   */
+  getRoom(name) {
+    // Room names come from clients, so they shouldn't match inherited properties
+    return Object.prototype.hasOwnProperty.call(this.rooms, name) ? this.rooms[name] : undefined;
+  }
+
+  /**
+   * Returns all rooms, that are hosted by this process
+   *
+   * @returns {Array<Room>} Local rooms
+   * @memberof MemoryAdapter
+   */
+  getRooms() {
+    return Object.values(this.rooms);
+  }
+
+  /**
+   * Reserves room name, so nobody else can open room with it
+   *
+   * @param {string} name Room name
+   * @returns {Promise} A promise that will be resolved with true if name was reserved
+   * or false, if it's taken already
+   * @memberof MemoryAdapter
+   */
+  async reserveRoom(name) {
+    if (this.hasRoom(name)) return false;
+    this.reservedNames.add(name);
+    return true;
+  }
+
+  /**
+   * Frees reserved room name, that wasn't used
+   *
+   * @param {string} name Room name
+   * @returns {void}
+   * @memberof MemoryAdapter
+   */
+  releaseRoom(name) {
+    this.reservedNames.delete(name);
+  }
+
+  /**
+   * Adds room to registry
+   *
+   * @param {Room} room Opened room
+   * @returns {void}
+   * @memberof MemoryAdapter
+   */
+  addRoom(room) {
+    this.reservedNames.delete(room.name);
+    this.rooms[room.name] = room;
+  }
+
+  /**
+   * Removes room from registry
+   *
+   * @param {Room} room Disposed room
+   * @returns {void}
+   * @memberof MemoryAdapter
+   */
+  removeRoom(room) {
+    delete this.rooms[room.name];
+  }
+
+  /**
+   * Passes connection to process, that hosts room.
+   * All rooms are local here, so there is nothing to pass connection to.
+   *
+   * @returns {boolean} True if connection was passed
+   * @memberof MemoryAdapter
+   */
+  // eslint-disable-next-line class-methods-use-this
+  bridge() {
+    return false;
+  }
+
+  /**
+   * Releases all adapter resources
+   *
+   * @returns {void}
+   * @memberof MemoryAdapter
+   */
+  close() {
+    this.rooms = Object.create(null);
+    this.reservedNames.clear();
+  }
+}
+
+module.exports = MemoryAdapter;
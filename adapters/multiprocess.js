@@ -0,0 +1,504 @@
+const crypto = require('crypto');
+const net = require('net');
+const EventEmitter = require('events');
+const debug = require('debug')('networking:adapter');
+const MemoryAdapter = require('./memory');
+const { send, receive } = require('./broker');
+
+// Socket events, that are handled by socket itself and are never passed to other process
+const LOCAL_EVENTS = ['disconnect', 'disconnecting', 'error'];
+
+/**
+ * Finds event arguments, that are Buffers, like binary game events.
+ * JSON turns Buffers into plain objects, so receiver restores only arguments,
+ * that are listed in message, and client's objects stay as they are.
+ *
+ * @param {Array} args Event arguments
+ * @returns {?Array<number>} Indexes of Buffer arguments or undefined, if there are none
+ */
+function findBuffers(args) {
+  const indexes = [];
+  args.forEach((arg, i) => {
+    if (Buffer.isBuffer(arg)) indexes.push(i);
+  });
+  return indexes.length > 0 ? indexes : undefined;
+}
+
+/**
+ * Restores Buffer arguments, that were serialized with their toJSON
+ *
+ * @param {Array} args Parsed event arguments
+ * @param {Array<number>} indexes Indexes of Buffer arguments
+ * @returns {Array} Event arguments with Buffers
+ */
+function restoreBuffers(args, indexes) {
+  return args.map((arg, i) => (
+    indexes.includes(i) && arg && Array.isArray(arg.data) ? Buffer.from(arg.data) : arg
+  ));
+}
+
+/**
+ * A socket of client, that is connected to another process.
+ * Looks like socket.io socket for Connection, but sends all emitted events through broker.
+ *
+ * @class RemoteSocket
+ * @extends {EventEmitter}
+ */
+class RemoteSocket extends EventEmitter {
+  /**
+   * Creates an instance of RemoteSocket.
+   * @param {MultiProcessAdapter} adapter Adapter, that received socket
+   * @param {string} processId Process, where client is connected
+   * @param {string} id Socket id in that process
+   * @param {string} token Client session token
+   * @memberof RemoteSocket
+   */
+  constructor(adapter, processId, id, token) {
+    super();
+    this.adapter = adapter;
+    this.processId = processId;
+    this.id = id;
+    this.handshake = { query: { session: token } };
+    this.connected = true;
+    // Flags of next emitted event
+    this.flags = {};
+    // Acknowledgement callbacks, that wait for client, indexed by ack id
+    this.acks = {};
+    this.ackCounter = 0;
+  }
+
+  /**
+   * Marks next emitted event as volatile, like socket.io does.
+   * Process, where client is connected, emits it as volatile too.
+   *
+   * @returns {RemoteSocket} This socket
+   * @memberof RemoteSocket
+   */
+  get volatile() {
+    this.flags.volatile = true;
+    return this;
+  }
+
+  /**
+   * Sends event to client through process, where it's connected
+   *
+   * @param {string} event Event name
+   * @param {any} args Event arguments. Last argument can be acknowledgement callback,
+   * like in socket.io. It's called, when process reports that client has acknowledged event.
+   * @returns {boolean} Always true, like socket.io does
+   * @memberof RemoteSocket
+   */
+  emit(event, ...args) {
+    const { volatile } = this.flags;
+    this.flags = {};
+    if (!this.connected) return true;
+
+    // Callback can't be sent to other process, so only it's id is sent
+    let ack;
+    if (typeof args[args.length - 1] === 'function') {
+      this.ackCounter += 1;
+      ack = this.ackCounter;
+      this.acks[ack] = args.pop();
+    }
+    this.adapter.send({
+      type: 'socket:emit', to: this.processId, id: this.id, event, args, volatile, ack,
+    });
+    return true;
+  }
+
+  /**
+   * Calls acknowledgement callback of emitted event
+   *
+   * @param {number} ack Ack id
+   * @param {Array} args Arguments, that client has acknowledged event with
+   * @returns {void}
+   * @memberof RemoteSocket
+   */
+  acknowledge(ack, args) {
+    const callback = this.acks[ack];
+    if (!callback) return;
+    delete this.acks[ack];
+    callback(...args);
+  }
+
+  /**
+   * Adds packet middleware. Incoming events are already checked by process,
+   * where client is connected, so middlewares are not used here.
+   *
+   * @returns {RemoteSocket} This socket
+   * @memberof RemoteSocket
+   */
+  use() {
+    return this;
+  }
+
+  /**
+   * Calls local listeners of event, received from client
+   *
+   * @param {string} event Event name
+   * @param {Array} args Event arguments
+   * @returns {void}
+   * @memberof RemoteSocket
+   */
+  receive(event, args) {
+    super.emit(event, ...args);
+  }
+
+  /**
+   * Disconnects client
+   *
+   * @returns {RemoteSocket} This socket
+   * @memberof RemoteSocket
+   */
+  disconnect() {
+    if (this.connected) {
+      this.adapter.send({ type: 'socket:disconnect', to: this.processId, id: this.id });
+      this.close();
+    }
+    return this;
+  }
+
+  /**
+   * Marks socket as disconnected and notifies listeners about it
+   *
+   * @returns {void}
+   * @memberof RemoteSocket
+   */
+  close() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.acks = {};
+    this.adapter.removeRemoteSocket(this);
+    super.emit('disconnect');
+  }
+}
+
+/**
+ * Room registry adapter, that shares rooms between several networking processes.
+ * All processes are connected to one Broker and must use same sessionSecret.
+ *
+ * When client connects to a process, that doesn't host it's room,
+ * all it's socket events are passed to room's process and handled there,
+ * so room and it's connections always live in one process.
+ *
+ * @class MultiProcessAdapter
+ * @extends {MemoryAdapter}
+ */
+class MultiProcessAdapter extends MemoryAdapter {
+  /**
+   * Creates an instance of MultiProcessAdapter.
+   * @param {Object} options Options
+   * @param {?String} options.id Unique process id. Random one is generated by default.
+   * @param {?Number} options.port Broker TCP port
+   * @param {?String} options.host Broker TCP host
+   * @param {?String} options.path Broker IPC socket path. Used instead of port, if specified.
+   * @param {?Number} options.reconnectDelay Delay in ms between broker reconnect attempts
+   * @param {?Number} options.reserveTimeout Time in ms, that room name reservation waits
+   * for connected broker. Room isn't opened, if broker doesn't respond in time.
+   * @memberof MultiProcessAdapter
+   */
+  constructor(options = {}) {
+    super();
+    this.id = options.id || crypto.randomBytes(8).toString('hex');
+    this.brokerOptions = options.path ? { path: options.path } : {
+      port: options.port || 4000,
+      host: options.host || '127.0.0.1',
+    };
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.reserveTimeout = options.reserveTimeout || 5000;
+    // Room name reservations, that wait for broker's answer: name -> { resolve, timeout }
+    this.pendingReservations = new Map();
+    // Owner process id of rooms, hosted by other processes, indexed by room name
+    this.remoteRooms = new Map();
+    // Local sockets, that are passed to other processes, indexed by socket id
+    this.bridges = {};
+    // Sockets of other processes, that are handled here, indexed by process and socket id
+    this.remoteSockets = {};
+  }
+
+  /**
+   * Binds adapter to networking instance and connects to broker
+   *
+   * @param {Networking} networking Networking instance, that uses this adapter
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  attach(networking) {
+    super.attach(networking);
+    this.connect();
+  }
+
+  /**
+   * Connects to broker. Reconnects automatically, if connection is lost.
+   *
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  connect() {
+    this.closed = false;
+    this.connected = false;
+    this.socket = net.connect(this.brokerOptions, () => {
+      this.connected = true;
+      send(this.socket, { type: 'hello', id: this.id });
+      // Broker could be restarted, so tell it about all our rooms again.
+      // Reservations, that were interrupted by lost connection, are sent again too.
+      Object.keys(this.rooms)
+        .concat(Array.from(this.pendingReservations.keys()))
+        .forEach(name => send(this.socket, { type: 'room:reserve', name }));
+    });
+    receive(this.socket, message => this.handleMessage(message));
+    this.socket.on('error', err => debug('broker socket error: ', err.message));
+    this.socket.on('close', () => {
+      this.connected = false;
+      // Nothing from other processes is reachable now
+      this.remoteRooms.clear();
+      Object.keys(this.bridges).forEach(id => this.bridges[id].disconnect(true));
+      Object.values(this.remoteSockets).forEach(socket => socket.close());
+      if (!this.closed) setTimeout(() => this.connect(), this.reconnectDelay);
+    });
+  }
+
+  /**
+   * Sends message to broker
+   *
+   * @param {Object} message Sent message
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  send(message) {
+    if (!this.socket || !this.connected) return;
+    const buffers = Array.isArray(message.args) ? findBuffers(message.args) : undefined;
+    send(this.socket, buffers ? Object.assign({ buffers }, message) : message);
+  }
+
+  /**
+   * Handles message received from broker
+   *
+   * @param {Object} message Received message
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  handleMessage(message) {
+    const key = `${message.from}/${message.id}`;
+    if (Array.isArray(message.buffers) && Array.isArray(message.args)) {
+      message.args = restoreBuffers(message.args, message.buffers);
+    }
+    switch (message.type) {
+      case 'rooms':
+        // Full registry snapshot of [name, owner] pairs, received after connect
+        this.remoteRooms = new Map(message.rooms);
+        Object.keys(this.rooms).forEach(name => this.remoteRooms.delete(name));
+        break;
+      case 'room:add':
+        this.remoteRooms.set(message.name, message.owner);
+        break;
+      case 'room:reserved':
+        this.handleReservation(message.name, message.accepted);
+        break;
+      case 'room:remove':
+        this.remoteRooms.delete(message.name);
+        break;
+      case 'process:lost':
+        // Disconnect all clients, that were passed to lost process or from it
+        Object.keys(this.bridges)
+          .filter(id => this.bridges[id].bridgedTo === message.id)
+          .forEach(id => this.bridges[id].disconnect(true));
+        Object.values(this.remoteSockets)
+          .filter(socket => socket.processId === message.id)
+          .forEach(socket => socket.close());
+        break;
+      case 'socket:open': {
+        // Other process has passed it's client to us
+        const socket = new RemoteSocket(this, message.from, message.id, message.token);
+        this.remoteSockets[key] = socket;
+        this.networking.addConnection(socket);
+        break;
+      }
+      case 'socket:event':
+        if (this.remoteSockets[key]) this.remoteSockets[key].receive(message.event, message.args);
+        break;
+      case 'socket:close':
+        if (this.remoteSockets[key]) this.remoteSockets[key].close();
+        break;
+      case 'socket:emit': {
+        const bridge = this.bridges[message.id];
+        if (!bridge) break;
+        const args = message.args.slice();
+        if (message.ack != null) {
+          // Pass client's acknowledgement back to process, that has emitted event
+          args.push((...ackArgs) => this.send({
+            type: 'socket:ack', to: message.from, id: message.id, ack: message.ack, args: ackArgs,
+          }));
+        }
+        (message.volatile ? bridge.volatile : bridge).emit(message.event, ...args);
+        break;
+      }
+      case 'socket:ack':
+        if (this.remoteSockets[key]) this.remoteSockets[key].acknowledge(message.ack, message.args);
+        break;
+      case 'socket:disconnect':
+        if (this.bridges[message.id]) this.bridges[message.id].disconnect(true);
+        break;
+    }
+  }
+
+  /**
+   * Forgets remote socket, when it's disconnected
+   *
+   * @param {RemoteSocket} socket Disconnected socket
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  removeRemoteSocket(socket) {
+    delete this.remoteSockets[`${socket.processId}/${socket.id}`];
+  }
+
+  /**
+   * Checks if room name is taken by any process
+   *
+   * @param {string} name Room name
+   * @returns {boolean} True if room exists
+   * @memberof MultiProcessAdapter
+   */
+  hasRoom(name) {
+    return super.hasRoom(name) || this.remoteRooms.has(name);
+  }
+
+  /**
+   * Reserves room name in broker, so two processes can't host rooms with same name
+   *
+   * @param {string} name Room name
+   * @returns {Promise} A promise that will be resolved with true if broker has accepted name
+   * or false, if name is taken or broker hasn't responded in time.
+   * Rejected right away, if process is not connected to broker.
+   * @memberof MultiProcessAdapter
+   */
+  async reserveRoom(name) {
+    // Broker can be down for a long time, so room opening shouldn't wait for it
+    if (!this.connected) throw new Error('Broker is not connected');
+    if (!await super.reserveRoom(name)) return false;
+    // eslint-disable-next-line promise/avoid-new
+    const accepted = await new Promise((resolve) => {
+      const timeout = setTimeout(() => this.handleReservation(name, false), this.reserveTimeout);
+      this.pendingReservations.set(name, { resolve, timeout });
+      this.send({ type: 'room:reserve', name });
+    });
+    if (!accepted) super.releaseRoom(name);
+    return accepted;
+  }
+
+  /**
+   * Handles broker's answer to room name reservation
+   *
+   * @param {string} name Room name
+   * @param {boolean} accepted True if this process owns name now
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  handleReservation(name, accepted) {
+    const pending = this.pendingReservations.get(name);
+    if (pending) {
+      this.pendingReservations.delete(name);
+      clearTimeout(pending.timeout);
+      pending.resolve(accepted);
+      return;
+    }
+    const room = this.getRoom(name);
+    if (!accepted && room) {
+      // Another process has taken name of our room, while we were disconnected from broker
+      console.log(`Room '${name}' is hosted by another process, closing it`);
+      room.dispose({ error: 'error_room_exists' });
+    } else if (accepted && !room) {
+      // Reservation has timed out already, so name isn't needed anymore
+      this.send({ type: 'room:remove', name });
+    }
+  }
+
+  /**
+   * Frees reserved room name in broker, if room wasn't opened with it
+   *
+   * @param {string} name Room name
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  releaseRoom(name) {
+    super.releaseRoom(name);
+    this.send({ type: 'room:remove', name });
+  }
+
+  /**
+   * Removes room from registry and notifies other processes about it
+   *
+   * @param {Room} room Disposed room
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  removeRoom(room) {
+    super.removeRoom(room);
+    this.send({ type: 'room:remove', name: room.name });
+  }
+
+  /**
+   * Passes connection to process, that hosts room.
+   * After that all socket events are handled by that process.
+   *
+   * @param {Connection} connection Client connection
+   * @param {string} roomName Room, that is hosted by another process
+   * @param {string} event Event, that should be handled by another process
+   * @param {any} args Event arguments
+   * @returns {boolean} True if connection was passed
+   * @memberof MultiProcessAdapter
+   */
+  bridge(connection, roomName, event, ...args) {
+    const owner = this.remoteRooms.get(roomName);
+    if (owner == null) return false;
+
+    const { socket } = connection;
+    socket.bridgedTo = owner;
+    this.bridges[socket.id] = socket;
+
+    // Stop handling client events locally and pass them to owner process instead
+    socket.eventNames()
+      .filter(name => !LOCAL_EVENTS.includes(name))
+      .forEach((name) => {
+        socket.removeAllListeners(name);
+        socket.on(name, (...eventArgs) => {
+          this.send({
+            type: 'socket:event', to: owner, id: socket.id, event: name, args: eventArgs,
+          });
+        });
+      });
+    socket.on('disconnect', () => {
+      delete this.bridges[socket.id];
+      this.send({ type: 'socket:close', to: owner, id: socket.id });
+    });
+
+    this.send({
+      type: 'socket:open',
+      to: owner,
+      id: socket.id,
+      token: this.networking.createSessionToken(connection.session),
+    });
+    // Event, that has caused bridging, should be handled by owner too
+    this.send({
+      type: 'socket:event', to: owner, id: socket.id, event, args,
+    });
+    return true;
+  }
+
+  /**
+   * Disconnects from broker
+   *
+   * @returns {void}
+   * @memberof MultiProcessAdapter
+   */
+  close() {
+    super.close();
+    this.pendingReservations.forEach((pending, name) => this.handleReservation(name, false));
+    this.closed = true;
+    if (this.socket) this.socket.destroy();
+    this.socket = undefined;
+  }
+}
+
+module.exports = MultiProcessAdapter;
@@ -0,0 +1,106 @@
+/**
+ * @file Authentication providers for 'login' event.
+ *
+ *       Provider interface, that is used by Networking:
+ *       * authenticate(credentials) - returns user ({ id, profile }) or promise of it.
+ *         Throws AuthError with localizable message, if credentials are not valid.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * A class that is used to handle errors, that can happen in authentication
+ *
+ * @class AuthError
+ * @extends {Error}
+ */
+class AuthError extends Error {
+  /**
+   * Creates an instance of AuthError.
+   * @param {any} message Localizable error message
+   * @memberof AuthError
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Verifies HMAC signed tokens without any requests to other services.
+ * Tokens are issued with createToken by a service, that shares same secret.
+ *
+ * @class TokenAuthProvider
+ */
+class TokenAuthProvider {
+  /**
+   * Creates an instance of TokenAuthProvider.
+   * @param {Object} options Options
+   * @param {!String} options.secret Secret used to sign tokens
+   * @memberof TokenAuthProvider
+   */
+  constructor(options = {}) {
+    if (!options.secret) throw new Error('TokenAuthProvider requires secret');
+    this.secret = options.secret;
+  }
+
+  /**
+   * Creates signed token for user
+   *
+   * @param {Object} user User information
+   * @param {!String} user.id User id
+   * @param {?Object} user.profile Public user profile
+   * @param {?Number} expiresIn Token lifetime in ms. Token never expires by default.
+   * @returns {string} Token in a format of payload.signature
+   * @memberof TokenAuthProvider
+   */
+  createToken(user, expiresIn) {
+    const payload = Buffer.from(JSON.stringify({
+      id: user.id,
+      profile: user.profile,
+      exp: expiresIn ? Date.now() + expiresIn : undefined,
+    })).toString('base64');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Checks token signature and expiration time
+   *
+   * @param {string|Object} credentials Token or object with token property
+   * @throws {AuthError} Throws if token is not valid or expired
+   * @returns {Object} User information: { id, profile }
+   * @memberof TokenAuthProvider
+   */
+  authenticate(credentials) {
+    const token = credentials && typeof credentials === 'object' ? credentials.token : credentials;
+    if (!token || typeof token !== 'string') throw new AuthError('error_auth_invalid');
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(this.sign(payload || ''));
+    const received = Buffer.from(signature || '');
+    // Compare in constant time, so signature can't be guessed by response timings
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AuthError('error_auth_invalid');
+    }
+
+    const user = JSON.parse(Buffer.from(payload, 'base64').toString());
+    if (user.exp != null && user.exp < Date.now()) throw new AuthError('error_auth_expired');
+    return { id: user.id, profile: user.profile };
+  }
+
+  /**
+   * Creates HMAC signature of token payload
+   *
+   * @param {string} payload Token payload
+   * @returns {string} Hex signature
+   * @memberof TokenAuthProvider
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+}
+
+module.exports = {
+  AuthError,
+  TokenAuthProvider,
+};
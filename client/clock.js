@@ -0,0 +1,86 @@
+/**
+ * @file Estimates offset between local and server clocks, NTP-style.
+ *       Client sends it's time to server and server responds with it's own time.
+ *       Server time is assumed to be taken in the middle of round trip.
+ */
+
+/**
+ * Returns median of sorted numbers
+ *
+ * @param {Array<number>} values Sorted numbers
+ * @returns {number} Median
+ */
+function median(values) {
+  const middle = Math.floor(values.length / 2);
+  return values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+}
+
+/**
+ * Stores recent clock samples and calculates clock offset from them
+ *
+ * @class ClockSync
+ */
+export default class ClockSync {
+  /**
+   * Creates an instance of ClockSync.
+   * @param {?Object} options Options
+   * @param {?number} options.size Maximal number of stored samples
+   * @memberof ClockSync
+   */
+  constructor(options = {}) {
+    this.size = options.size || 16;
+    this.samples = [];
+    // Server time minus local time, in ms
+    this.offset = 0;
+    // Round trip time of most accurate samples
+    this.rtt = undefined;
+    this.synced = false;
+  }
+
+  /**
+   * Adds round trip sample
+   *
+   * @param {number} sentAt Local time, when request was sent
+   * @param {number} serverTime Server time, when request was received
+   * @param {?number} receivedAt Local time, when response was received
+   * @returns {boolean} False if sample is broken
+   * @memberof ClockSync
+   */
+  addSample(sentAt, serverTime, receivedAt = Date.now()) {
+    const rtt = receivedAt - sentAt;
+    if (!Number.isFinite(rtt) || rtt < 0 || !Number.isFinite(serverTime)) return false;
+
+    this.samples.push({ rtt, offset: (serverTime + (rtt / 2)) - receivedAt });
+    if (this.samples.length > this.size) this.samples.shift();
+    this.update();
+    return true;
+  }
+
+  /**
+   * Recalculates offset. Slow samples were delayed in one direction more than in other,
+   * so their offset is less accurate. Like NTP, only fastest half of samples is used
+   * and median of their offsets filters out remaining outliers.
+   *
+   * @returns {void}
+   * @memberof ClockSync
+   */
+  update() {
+    const fastest = this.samples.slice()
+      .sort((a, b) => a.rtt - b.rtt)
+      .slice(0, Math.ceil(this.samples.length / 2));
+    this.offset = median(fastest.map(sample => sample.offset).sort((a, b) => a - b));
+    this.rtt = median(fastest.map(sample => sample.rtt));
+    this.synced = true;
+  }
+
+  /**
+   * Converts local time to server time
+   *
+   * @param {?number} now Local time
+   * @returns {number} Estimated server time
+   * @memberof ClockSync
+   */
+  getServerTime(now = Date.now()) {
+    return now + this.offset;
+  }
+}
@@ -1,56 +1,88 @@
 import io from 'socket.io-client';
-import { MESSAGE_TYPE, PLATFORM, ROOM_SETTINGS } from '../enums'; // eslint-disable-line no-unused-vars
+import {
+  // eslint-disable-next-line no-unused-vars
+  MESSAGE_TYPE, PLATFORM, ROOM_SETTINGS, STATE_PERMISSION, INPUT_SETTINGS, CLOCK_SETTINGS,
+  CONNECTION_SETTINGS, QUALITY_SETTINGS,
+} from '../enums';
 import SERVERS from '../servers';
+import { normalizeSchema, validateGameEvent } from '../schema';
+import SnapshotBuffer, { interpolate } from './snapshots';
+import ClockSync from './clock';
+import ServerSelector from './selector';
+import { createEventTable, encodeGameEvent, decodeGameEvent } from '../codec';
+import { NumericRoomCodes } from '../roomcode';
 
-function fetchTimeout(address, timeout) {
-  // eslint-disable-next-line promise/avoid-new
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-    xhr.timeout = timeout;
-    xhr.onload = resolve;
-    xhr.ontimeout = reject;
-    xhr.open('GET', address, true);
-  });
+// Key of session info in session storage
+const SESSION_STORAGE_KEY = 'fonsole:session';
+
+/**
+ * Base class for errors, that game requests are rejected with
+ *
+ * @class RequestError
+ * @extends {Error}
+ */
+export class RequestError extends Error {
+  /**
+   * Creates an instance of RequestError.
+   * @param {any} message Localizable error message
+   * @memberof RequestError
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RequestError';
+  }
 }
 
 /**
- * Make a ping to server and return latency.
+ * Request wasn't responded in time
  *
- * @param {any} serverAddress - Ping address of server. Should return 2** status code.
- * @returns {number} Response latency
+ * @class RequestTimeoutError
+ * @extends {RequestError}
  */
-async function CalculateLatency(serverAddress) {
-  // Store current time to calculate latency later
-  const startTime = Date.now();
-  try {
-    // Try to send a request to server with a timeout of 5s
-    await fetchTimeout(serverAddress, 5000);
-  } catch (err) {
-    // If server is unavailable return Inf latency,
-    // so we can be sure that it won't be used as closest
-    return Infinity;
-  }
-  // Latency is (now - start).
-  return Date.now() - startTime;
+export class RequestTimeoutError extends RequestError {
+  /**
+   * Creates an instance of RequestTimeoutError.
+   * @memberof RequestTimeoutError
+   */
+  constructor() {
+    super('error_request_timeout');
+    this.name = 'RequestTimeoutError';
+  }
 }
 
 /**
- * Preforms pings to all servers from 'servers.js' and selects one with lowest latency.
+ * Request target is not connected to room or has disconnected before responding
  *
- * @returns {number} Index of closest server.
+ * @class RequestTargetError
+ * @extends {RequestError}
  */
-async function FindClosestServer() {
-  // Execute CalculateLatency function for each server.
-  const serverPings = await Promise.all(Object.entries(SERVERS).map((info) => {
-    const addresses = info[1];
-    // Second element of addresses is ping url
-    const latency = CalculateLatency(addresses[1]);
-    return [info[0], latency];
-  }));
-  // Compare pings of all servers and return index of server with lowest latency.
-  // ([0][0] is index of first sorting result)
-  const closest = serverPings.sort(([latency1], [latency2]) => latency1 - latency2)[0][0];
-  return closest;
+export class RequestTargetError extends RequestError {
+  /**
+   * Creates an instance of RequestTargetError.
+   * @memberof RequestTargetError
+   */
+  constructor() {
+    super('error_request_target');
+    this.name = 'RequestTargetError';
+  }
+}
+
+/**
+ * Request target has no handler for requested event or it's handler has thrown an error
+ *
+ * @class RequestHandlerError
+ * @extends {RequestError}
+ */
+export class RequestHandlerError extends RequestError {
+  /**
+   * Creates an instance of RequestHandlerError.
+   * @param {?String} message Message of error thrown by handler
+   * @memberof RequestHandlerError
+   */
+  constructor(message) {
+    super(message || 'error_request_handler');
+    this.name = 'RequestHandlerError';
+  }
 }
 
 /**
@@ -61,15 +93,73 @@ async function FindClosestServer() {
 class NetworkingAPI {
   /**
    * Creates an instance of NetworkingAPI.
-   *
+   * @param {?Object} options Options
+   * @param {?Object} options.serverSelection Options of server selector. See 'selector.js'.
+   * @param {?boolean} options.autoFailover Should desktop re-open it's room on another server,
+   * when it can't reconnect to current one? True by default.
+   * @param {?Object} options.qualityThresholds Player's connection is bad, if it's round trip
+   * time or loss reach these values: { rtt, loss }. rtt is in ms, loss is from 0 to 1.
+   * @param {?Storage} options.sessionStorage Storage, where session token and room are saved,
+   * so they can be resumed after page reload. Browser's sessionStorage is used by default.
+   * Set to null to disable saving.
    * @memberof NetworkingAPI
    */
-  constructor() {
+  constructor(options = {}) {
     // Load defaults
     this.clientConnections = {};
     this.events = {};
     this.gameEvents = {};
+    this.gameHandlers = {};
+    // Input channel listeners, indexed by channel name
+    this.inputEvents = {};
     this.connectionId = -1;
+    // Game requests, that are waiting for response, indexed by request id
+    this.requests = {};
+    this.requestCounter = 0;
+    // Time in ms, after which game requests are rejected with RequestTimeoutError
+    this.requestTimeout = 5000;
+    // Number of audience members in room
+    this.audienceCount = 0;
+    // Player limits and lock status of current room
+    this.roomLimits = {};
+    // Simulation ticks per second of current room. 0 means that room doesn't send snapshots.
+    this.tickRate = 0;
+    // Recent snapshots of ticking room
+    this.snapshots = new SnapshotBuffer();
+    // Event ids of current game, if it uses binary events. Null means that events are sent as JSON.
+    this.eventTable = null;
+    // Newest input values of each controller, indexed by connection id and channel
+    this.inputs = {};
+    // Input values, that controller will send with next input update
+    this.pendingInputs = {};
+    this.lastInputTime = 0;
+    // Offset between local and server clocks
+    this.clock = new ClockSync();
+    // Server time of game event, that is being handled, if room has timestamps
+    this.eventTime = undefined;
+    // Shared room state, synchronized by server
+    this.state = {};
+    // Signed session token, issued by server on first connect
+    this.sessionToken = undefined;
+    // Logged in user: { userId, profile }
+    this.user = undefined;
+    // Ranks servers by latency and load, when desktop opens room
+    this.serverSelector = new ServerSelector(options.serverSelection);
+    this.autoFailover = options.autoFailover != null ? !!options.autoFailover : true;
+    // Arguments of last setGame call, so game can be set again after failover
+    this.gameSetup = undefined;
+    // Newest connection quality of each player, indexed by connection id. Only host gets it.
+    this.connectionQuality = {};
+    this.qualityThresholds = Object.assign({
+      rtt: QUALITY_SETTINGS.BAD_RTT,
+      loss: QUALITY_SETTINGS.BAD_LOSS,
+    }, options.qualityThresholds);
+    // Session storage survives page reload, so host can get it's room back in grace window
+    if (options.sessionStorage !== undefined) {
+      this.sessionStorage = options.sessionStorage;
+    } else {
+      this.sessionStorage = typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+    }
   }
 
   /**
@@ -77,18 +167,26 @@ class NetworkingAPI {
    * Can be called only by desktop.
    *
    * @param {string} game
+   * @param {?Object} schema Optional schema of game events. See 'schema.js' for format.
+   * Server rejects game events, that don't match it.
+   * @param {?Object} options Game options
+   * @param {?boolean} options.binary Send game events in compact binary format.
+   * Requires schema. Events, that can't be encoded, are still sent as JSON.
    * @memberof NetworkingAPI
    */
-  setGame(game) {
+  setGame(game, schema, options = {}) {
     if (!game || typeof game !== 'string') throw new Error('Invalid game name');
+    // Throws if schema is broken, so game developer notices it right away
+    if (schema != null) normalizeSchema(schema);
 
     // Game can be updated only in room
     if (!this.isInRoom) return;
 
     // Only desktop can update current game. Server has same check.
     if (this.platform === PLATFORM.DESKTOP) {
+      this.gameSetup = [game, schema, options];
       // Send event to server, so it can notify all connections about it.
-      this.socket.emit('game:set', game);
+      this.socket.emit('game:set', game, schema, { binary: Boolean(options.binary) });
     }
   }
 
@@ -102,6 +200,8 @@ class NetworkingAPI {
    */
   get platform() {
     if (this.connectionId === -1) return null; // Connection to socket is not established.
+    // Audience members always have negative ids
+    if (this.connectionId < -1) return PLATFORM.AUDIENCE;
     // Desktop always has id 0
     return this.connectionId === 0 ?
       PLATFORM.DESKTOP :
@@ -119,7 +219,7 @@ class NetworkingAPI {
   }
 
   /**
-   * Creates socket.io connection and subscribes to it's messages.
+   * Creates socket.io connection to server.
    *
    * @param {!number} server - Server Index.
    *                           All valid server indexes can be found in 'servers.js' file
@@ -130,8 +230,71 @@ class NetworkingAPI {
     this.serverIndex = serverIndex;
     if (!SERVERS[serverIndex] || !SERVERS[serverIndex][0]) throw new Error(`serverIndex (${serverIndex}) is not valid server index.`);
     const socketUrl = SERVERS[serverIndex][0];
-    // Create socket.io
-    this.socket = io(socketUrl);
+    // Create socket.io. Send session token if we got one, so server can restore our session.
+    this.attachSocket(io(socketUrl, {
+      query: this.sessionToken ? { session: this.sessionToken } : {},
+      // Server can be down for good, so we give up at some point
+      reconnectionAttempts: CONNECTION_SETTINGS.RECONNECT_ATTEMPTS,
+    }));
+  }
+
+  /**
+   * Subscribes to messages of socket.io connection or any object, that looks like it.
+   * Replay uses it to feed recorded messages to api.
+   *
+   * @param {Object} socket Socket with on, emit and disconnect methods
+   * @memberof NetworkingAPI
+   */
+  attachSocket(socket) {
+    this.socket = socket;
+
+    // Server has issued session token
+    this.socket.on('system:session', (token) => {
+      this.sessionToken = token;
+      // Saved session is replaced only after joining room, so failed resume can be retried
+      if (this.isInRoom) this.saveSession();
+      // Make sure that token is sent on automatic reconnects too
+      this.socket.io.opts.query = { session: token };
+      // Server sends token on each connect, so clock is synchronized after reconnects too
+      this.syncClock();
+    });
+
+    // Server has responded to our clock ping
+    this.socket.on('clock:pong', (sentAt, serverTime) => {
+      this.clock.addSample(sentAt, serverTime);
+      this.clockPings -= 1;
+      if (this.clockPings > 0) {
+        // Pings are sent one by one, so they don't delay each other
+        this.socket.emit('clock:ping', Date.now());
+        return;
+      }
+      this.emit('clock:sync', { offset: this.clock.offset, rtt: this.clock.rtt });
+      // Clocks drift, so offset is measured again in background
+      this.clockTimeout = setTimeout(() => this.syncClock(), CLOCK_SETTINGS.RESYNC_INTERVAL);
+    });
+
+    // Server has checked login credentials
+    this.socket.on('login', (result = {}) => {
+      if (!result.error) this.user = { userId: result.userId, profile: result.profile };
+      this.emit('login', result);
+    });
+
+    // Socket has reconnected after connection loss
+    this.socket.on('reconnect', () => {
+      // Try to get our old slot back. Host gets it's room back too.
+      if (this.isInRoom) {
+        this.socket.emit('room:join', this.roomName, this.roomPassword, this.roomOptions);
+      }
+    });
+
+    // Socket can't reconnect to server anymore
+    this.socket.on('reconnect_failed', () => {
+      this.emit('connection:lost');
+      if (this.platform === PLATFORM.DESKTOP && this.autoFailover) {
+        // Platform is notified with room:failover or room:failover-error event
+        this.failover().catch(() => {});
+      }
+    });
 
     // This event fires when client joins / leaves room
     this.socket.on('room:status', (status = {}) => {
@@ -140,52 +303,259 @@ class NetworkingAPI {
         this.roomName = status.roomName;
         this.connectionId = status.connectionId;
         if (status.connections) {
-          Object.assign(this.clientConnections, status.connections);
+          // Replace whole list, because it could change while we were reconnecting
+          this.clientConnections = Object.assign({}, status.connections);
         }
+        // Server sends full state snapshot on join
+        this.state = Object.assign({}, status.state);
+        this.audienceCount = status.audienceCount || 0;
+        // Game could be set before we joined
+        this.game = status.game;
+        this.gameSchema = status.schema;
+        this.eventTable = status.binary ? createEventTable(status.schema) : null;
+        this.inputs = {};
+        this.connectionQuality = {};
+        this.tickRate = status.tickRate || 0;
+        this.snapshots.clear();
+        this.roomLimits = Object.assign({}, status.limits);
       } else {
         // Left, clear room status
         this.roomName = '';
         this.connectionId = -1;
         this.clientConnections = {};
+        this.state = {};
+        this.audienceCount = 0;
+        this.roomLimits = {};
+        this.tickRate = 0;
+        this.eventTable = null;
+        this.inputs = {};
+        this.pendingInputs = {};
+        this.connectionQuality = {};
+        this.snapshots.clear();
+        // Socket is closed, so server won't keep our login for long
+        this.user = undefined;
+        // Nobody will respond to requests sent from this room
+        this.rejectRequests();
         this.closeSocket();
       }
 
+      this.saveSession();
       this.emit('room:status', status);
     });
 
     // New client joined same room
-    this.socket.on('connections:join', (connectionId, session) => {
-      // Store session
-      this.clientConnections[connectionId] = session;
+    this.socket.on('connections:join', (connectionId, session, profile) => {
+      // Store session and profile
+      this.clientConnections[connectionId] = { session, profile };
       // Emit event, so game's can handle it
-      this.emit('connections:join', connectionId, session);
+      this.emit('connections:join', connectionId, session, profile);
+    });
+
+    // Client has reconnected to same room in session grace window
+    this.socket.on('connections:rejoin', (connectionId, session, profile) => {
+      // Store session and profile
+      this.clientConnections[connectionId] = { session, profile };
+      // Emit event, so game's can handle it
+      this.emit('connections:rejoin', connectionId, session, profile);
+    });
+
+    // Player has changed it's profile. We receive this event for our own profile too.
+    this.socket.on('connections:profile', (connectionId, profile) => {
+      if (this.clientConnections[connectionId]) {
+        this.clientConnections[connectionId].profile = profile;
+      }
+      this.emit('connections:profile', connectionId, profile);
+    });
+
+    // Server has rejected our profile changes
+    this.socket.on('profile:error', error => this.emit('profile:error', error));
+
+    // Desktop has kicked or banned client. Disconnect event follows this one.
+    this.socket.on('connections:kicked', (connectionId, reason, banned) => {
+      this.emit('connections:kicked', connectionId, reason, banned);
     });
 
     // Client has just disconnected from room
     this.socket.on('connections:disconnect', (connectionId) => {
       // Remove reference
       this.clientConnections[connectionId] = undefined;
+      delete this.inputs[connectionId];
+      delete this.connectionQuality[connectionId];
       // Emit event, so game's can handle it
       this.emit('connections:disconnect', connectionId);
     });
 
+    // Server has measured connection quality of players
+    this.socket.on('connections:quality', (report) => {
+      Object.keys(report || {}).forEach((id) => {
+        const connectionId = Number(id);
+        const quality = report[id];
+        const wasBad = this.connectionQuality[connectionId] ?
+          this.isBadQuality(this.connectionQuality[connectionId]) :
+          false;
+        this.connectionQuality[connectionId] = quality;
+        // Games show bad connection icon, while player's connection is bad
+        const isBad = this.isBadQuality(quality);
+        if (isBad && !wasBad) this.emit('connections:quality-bad', connectionId, quality);
+        if (!isBad && wasBad) this.emit('connections:quality-good', connectionId, quality);
+      });
+      this.emit('connections:quality', report);
+    });
+
+    // Host has lost connection. Room stays opened, while it tries to reconnect.
+    this.socket.on('room:host-lost', () => {
+      // Returned host won't know about requests sent before
+      this.rejectRequests(0);
+      this.emit('room:host-lost');
+    });
+
+    // Host has reconnected to room
+    this.socket.on('room:host-restored', () => this.emit('room:host-restored'));
+
+    // Room was locked or unlocked
+    this.socket.on('room:limits', (limits) => {
+      this.roomLimits = limits;
+      this.emit('room:limits', limits);
+    });
+
+    // Audience count has changed. Only desktop receives this event.
+    this.socket.on('audience:count', (count) => {
+      this.audienceCount = count;
+      this.emit('audience:count', count);
+    });
+
+    // Some keys of room state were changed
+    this.socket.on('state:diff', (diff) => {
+      Object.keys(diff).forEach((key) => {
+        // Null values mean that key was removed
+        if (diff[key] == null) {
+          delete this.state[key];
+        } else {
+          this.state[key] = diff[key];
+        }
+      });
+      // Emit event, so game's can handle it
+      this.emit('state:change', diff);
+    });
+
+    // Server has rejected our state patch
+    this.socket.on('state:error', error => this.emit('state:error', error));
+
     // Desktop has changed game
-    this.socket.on('game:set', (game) => {
-      // Store current game name
+    this.socket.on('game:set', (game, schema, binary) => {
+      // Store current game name and it's normalized event schema
       this.game = game;
-      // Remove events subscribed in previous game
-      this.gameEvents = {};
+      this.gameSchema = schema;
+      this.eventTable = binary ? createEventTable(schema) : null;
+      // Remove events subscribed in previous game. Game, that is restored after failover,
+      // is still running, so it keeps it's handlers.
+      if (!this.restoringGame) {
+        this.gameEvents = {};
+        this.gameHandlers = {};
+        this.inputEvents = {};
+      }
+      this.restoringGame = false;
       // Emit this event locally, so platform can handle this change
       this.emit('game:set', game);
     });
 
     // Redirect all game events to listeners
-    this.socket.on('game:event', ({ sender, event, args }) => {
-      this.gameEmit(event, sender, args);
+    this.socket.on('game:event', ({
+      sender, event, args, time,
+    }) => {
+      this.eventTime = time;
+      this.gameEmit(event, sender, ...args);
+      this.eventTime = undefined;
+    });
+
+    // Binary game event. Peer is sender's id.
+    this.socket.on('game:binary', (data) => {
+      if (!this.eventTable) return;
+      const decoded = decodeGameEvent(this.eventTable, data);
+      if (decoded) this.gameEmit(decoded.event, decoded.peer, ...decoded.args);
+    });
+
+    // Controllers have changed their inputs. Only desktop receives this event.
+    this.socket.on('input:update', (inputs) => {
+      Object.keys(inputs).forEach((id) => {
+        const connectionId = Number(id);
+        if (!this.inputs[connectionId]) this.inputs[connectionId] = {};
+        Object.keys(inputs[id]).forEach((channel) => {
+          const value = inputs[id][channel];
+          this.inputs[connectionId][channel] = value;
+          (this.inputEvents[channel] || [])
+            .forEach(handler => handler.call(this, connectionId, value));
+        });
+      });
+    });
+
+    // Ticking room has sent snapshot with batched game events
+    this.socket.on('game:snapshot', (snapshot) => {
+      this.snapshots.push(snapshot);
+      snapshot.inputs.forEach(({
+        sender, event, args, time,
+      }) => {
+        // Our own events are included too, but we don't receive them without ticks either
+        if (sender === this.connectionId) return;
+        this.eventTime = time;
+        this.gameEmit(event, sender, ...args);
+        this.eventTime = undefined;
+      });
+      this.emit('game:snapshot', snapshot);
+    });
+
+    // Server has rejected our game event or schema
+    this.socket.on('game:error', error => this.emit('game:error', error));
+
+    // Somebody waits for our response
+    this.socket.on('game:request', async ({
+      sender, event, args, requestId,
+    }) => {
+      const response = { requestId };
+      const handler = this.gameHandlers[event];
+      if (!handler) {
+        response.error = 'error_request_handler';
+      } else {
+        try {
+          // Handlers can return values or promises
+          response.result = await handler.call(this, sender, ...args);
+        } catch (err) {
+          response.error = 'error_request_handler';
+          response.message = err && err.message;
+        }
+      }
+      // Socket could be closed, while handler was working
+      if (this.socket) this.socket.emit('game:response', response);
+    });
+
+    // Response to our request has arrived
+    this.socket.on('game:response', ({
+      requestId, result, error, message,
+    }) => {
+      const request = this.requests[requestId];
+      // Request could be rejected already
+      if (!request) return;
+      delete this.requests[requestId];
+      clearTimeout(request.timeout);
+      if (error === 'error_request_target') {
+        request.reject(new RequestTargetError());
+      } else if (error === 'error_request_timeout') {
+        // Server has forgotten request, that target hasn't answered
+        request.reject(new RequestTimeoutError());
+      } else if (error) {
+        request.reject(new RequestHandlerError(message || error));
+      } else {
+        request.resolve(result);
+      }
     });
 
     // Map message event, so platform can define it itself
     this.socket.on('system:msgbox', message => this.emit('system:msgbox', message));
+
+    // Server checks, that we are still alive
+    this.socket.on('system:heartbeat', (ack) => {
+      if (typeof ack === 'function') ack();
+    });
   }
 
   /**
@@ -205,16 +575,44 @@ class NetworkingAPI {
    * Makes client to open specific room and become it's host
    *
    * @param {?string} password Optional room password
+   * @param {?Object} options Room options. Defaults are taken from ROOM_SETTINGS.
+   * @param {?number} options.maxPlayers Maximal number of controllers. 0 means no limit.
+   * @param {?number} options.minPlayers Minimal number of controllers, that game needs
+   * @param {?boolean} options.lockOnGameStart Lock room, when game is set
+   * @param {?boolean} options.requireAuth Accept only players, that have logged in
+   * @param {?number} options.tickRate Simulation ticks per second. Broadcasted game events
+   * are batched into snapshots, that are sent once per tick.
+   * @param {?boolean} options.timestamps Add server receive time to game events.
+   * See getEventTime.
    * @returns {Promise} A promise that will be resolved when client successfully joins room
    * A resolved object contains { roomName, connectionId } properties
    * @memberof NetworkingAPI
    */
-  async openRoom(password) {
+  async openRoom(password, options = {}) {
     // Try to find closest server
-    const closestServerIndex = await FindClosestServer();
-    this.openSocket(closestServerIndex);
+    const serverIndex = await this.serverSelector.select();
+    if (serverIndex == null) throw new Error('error_servers_unavailable');
+    return this.openRoomOnServer(serverIndex, password, options);
+  }
+
+  /**
+   * Opens room on specific server
+   *
+   * @param {number} serverIndex Server index
+   * @param {?string} password Optional room password
+   * @param {?Object} options Room options. See openRoom.
+   * @returns {Promise} A promise that will be resolved when client successfully joins room
+   * @memberof NetworkingAPI
+   */
+  openRoomOnServer(serverIndex, password, options = {}) {
+    this.openSocket(serverIndex);
+    // Store password, so we can get room back after reconnect
+    this.roomPassword = password;
+    this.roomOptions = {};
+    // Options are used again, if room is re-opened on another server
+    this.openOptions = options;
     // Send command to socket.io server
-    this.socket.emit('room:open', password);
+    this.socket.emit('room:open', password, options);
     // Returning promise, that will be resolved once client opens room or received open error
     // eslint-disable-next-line promise/avoid-new
     return new Promise((resolve, reject) => {
@@ -232,22 +630,75 @@ class NetworkingAPI {
     });
   }
 
+  /**
+   * Re-opens desktop's room on next best server, when current one is down.
+   * New room gets same options, game and state, but controllers should join it with new
+   * room code, because they have lost their server too.
+   * Room codes contain server index, so they differ from room names on server.
+   *
+   * @returns {Promise} A promise that will be resolved with { previousRoomName, roomName }
+   * room codes. Same object is emitted with room:failover event.
+   * @memberof NetworkingAPI
+   */
+  async failover() {
+    if (this.platform !== PLATFORM.DESKTOP) throw new Error('error_failover_platform');
+    const previousServer = this.serverIndex;
+    const previousRoomName = `${previousServer}${this.roomName}`;
+    const { gameSetup, game } = this;
+    const state = Object.assign({}, this.state);
+
+    try {
+      // Cached ranking was measured, while failed server was alive
+      const serverIndex = await this.serverSelector.select([previousServer], true);
+      if (serverIndex == null) throw new Error('error_servers_unavailable');
+      this.closeSocket();
+      const status = await this.openRoomOnServer(serverIndex, this.roomPassword, this.openOptions);
+
+      // Restore game and state, so desktop continues from where it was
+      if (gameSetup && gameSetup[0] === game) {
+        this.restoringGame = true;
+        this.setGame(...gameSetup);
+      }
+      // State permissions and key owners are not restored, new room's host owns all keys
+      if (Object.keys(state).length > 0) this.patchState(state);
+
+      const result = { previousRoomName, roomName: `${serverIndex}${status.roomName}` };
+      this.emit('room:failover', result);
+      return result;
+    } catch (err) {
+      this.emit('room:failover-error', err);
+      throw err;
+    }
+  }
+
   /**
    * Makes client to join specific room.
    *
    * @param {String} roomName Specified room name. First letter will be used as server index.
+   * Code is case-insensitive.
    * @param {?String} password Optional room password
+   * @param {?Object} options Join options
+   * @param {?Boolean} options.audience Join as audience member, that doesn't take player slot
+   * @param {?Object} options.profile Player profile: { name, color, avatar }.
+   * Server makes name and color unique in room.
+   * @param {?any} options.auth Credentials or signed token. Client logs in before joining,
+   * so it can join rooms, that require auth.
    * @returns {Promise} A promise that will be resolved when client successfully joins room
    * A resolved object contains { roomName, connectionId, connections } properties
    * @memberof NetworkingAPI
    */
-  joinRoom(roomName, password) {
+  joinRoom(roomName, password, options = {}) {
+    // Codes are typed by users, so they can be in lower case
+    const code = NetworkingAPI.normalizeRoomName(roomName);
     // Open connection to socket.io server, based on first room name letter
-    this.openSocket(+roomName.charAt(0));
+    this.openSocket(+code.charAt(0));
     // Real room name is a room name used on server.
-    const realRoomName = roomName.substr(1);
+    const realRoomName = code.substr(1);
+    // Store password and options, so we can rejoin room after reconnect
+    this.roomPassword = password;
+    this.roomOptions = options;
     // Send command to socket.io server
-    this.socket.emit('room:join', realRoomName, password);
+    this.socket.emit('room:join', realRoomName, password, options);
     // Returning promise, that will be resolved once client joins room or received join error
     // eslint-disable-next-line promise/avoid-new
     return new Promise((resolve, reject) => {
@@ -262,6 +713,117 @@ class NetworkingAPI {
     });
   }
 
+  /**
+   * Returns everything, that is needed to get back to current room after page reload
+   *
+   * @returns {?Object} { token, serverIndex, roomName, password, options }
+   * or null, if client is not in room
+   * @memberof NetworkingAPI
+   */
+  getSessionInfo() {
+    if (!this.isInRoom || !this.sessionToken) return null;
+    // Credentials shouldn't be saved anywhere
+    const options = Object.assign({}, this.roomOptions);
+    delete options.auth;
+    return {
+      token: this.sessionToken,
+      serverIndex: this.serverIndex,
+      roomName: this.roomName,
+      password: this.roomPassword,
+      options,
+    };
+  }
+
+  /**
+   * Saves session info to session storage or removes it, when client has left room
+   *
+   * @returns {void}
+   * @memberof NetworkingAPI
+   */
+  saveSession() {
+    // Replayed sockets don't have sessions, so they shouldn't touch storage
+    if (!this.sessionStorage || !this.sessionToken) return;
+    try {
+      const info = this.getSessionInfo();
+      if (info) {
+        this.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(info));
+      } else {
+        this.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+      }
+    } catch (err) {
+      // Storage can be full or disabled. Session just won't survive reload then.
+    }
+  }
+
+  /**
+   * Returns session info, that was saved before page reload
+   *
+   * @returns {?Object} Session info or null, if nothing was saved. See getSessionInfo.
+   * @memberof NetworkingAPI
+   */
+  loadSession() {
+    if (!this.sessionStorage) return null;
+    try {
+      return JSON.parse(this.sessionStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Gets back to room after page reload or crash. Server gives same slot back to session,
+   * that reconnects in grace window, so host gets connection id 0 and controllers get their ids.
+   *
+   * @param {?Object} info Session info. See getSessionInfo. Info from session storage is used,
+   * if it's not specified.
+   * @returns {Promise} A promise that will be resolved with room status, like joinRoom's one,
+   * or rejected, if there is no session to resume or room was closed
+   * @memberof NetworkingAPI
+   */
+  async resume(info = this.loadSession()) {
+    if (!info || !info.token || !info.roomName || !SERVERS[info.serverIndex]) {
+      throw new Error('error_session_unavailable');
+    }
+    // Socket sends token on connect, so server restores our session
+    this.sessionToken = info.token;
+    return this.joinRoom(`${info.serverIndex}${info.roomName}`, info.password, info.options);
+  }
+
+  /**
+   * Logs in with credentials or signed token. Socket should be opened already.
+   * Login is kept, while client stays in room, even if it reconnects.
+   *
+   * @param {any} credentials Credentials, that are checked by server's auth provider
+   * @returns {Promise} A promise that will be resolved with { userId, profile } properties
+   * or rejected with localizable error message
+   * @memberof NetworkingAPI
+   */
+  login(credentials) {
+    // Server checks credentials, so we need connection to it
+    if (!this.socket) return Promise.reject(new Error('error_not_connected'));
+    this.socket.emit('login', credentials);
+    // eslint-disable-next-line promise/avoid-new
+    return new Promise((resolve, reject) => {
+      this.once('login', (result) => {
+        if (result.error) {
+          reject(result.error);
+        } else {
+          resolve({ userId: result.userId, profile: result.profile });
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns if client has logged in
+   *
+   * @returns {Boolean} If client has logged in
+   * @memberof NetworkingAPI
+   */
+  get isAuthenticated() {
+    return this.user != null;
+  }
+
   /**
    * Makes client to leave current room
    *
@@ -329,27 +891,455 @@ class NetworkingAPI {
     return index;
   }
 
+  /**
+   * Returns player limits and lock status of current room
+   *
+   * @returns {Object} Contains maxPlayers, minPlayers, lockOnGameStart and locked properties
+   * @memberof NetworkingAPI
+   */
+  getRoomLimits() {
+    return Object.assign({}, this.roomLimits);
+  }
+
+  /**
+   * Checks if room has enough players to start game
+   *
+   * @returns {boolean} True if number of controllers is at least minPlayers
+   * @memberof NetworkingAPI
+   */
+  hasEnoughPlayers() {
+    const players = Object.values(this.clientConnections).filter(x => x != null).length;
+    return players >= (this.roomLimits.minPlayers || 0);
+  }
+
+  /**
+   * Stops accepting new players. Disconnected players still can rejoin.
+   * Can be called only by desktop.
+   *
+   * @memberof NetworkingAPI
+   */
+  lockRoom() {
+    // Only desktop can lock room. Server has same check.
+    if (this.platform === PLATFORM.DESKTOP) this.socket.emit('room:lock');
+  }
+
+  /**
+   * Starts accepting new players again.
+   * Can be called only by desktop.
+   *
+   * @memberof NetworkingAPI
+   */
+  unlockRoom() {
+    // Only desktop can unlock room. Server has same check.
+    if (this.platform === PLATFORM.DESKTOP) this.socket.emit('room:unlock');
+  }
+
+  /**
+   * Removes client from room. Kicked client receives room:status with kicked and reason fields.
+   * Can be called only by desktop.
+   *
+   * @param {number} connectionId Kicked client ID
+   * @param {?string} reason Optional reason, that is shown to kicked client
+   * @memberof NetworkingAPI
+   */
+  kick(connectionId, reason) {
+    // Only desktop can kick clients. Server has same check.
+    if (this.platform === PLATFORM.DESKTOP) this.socket.emit('room:kick', connectionId, reason);
+  }
+
+  /**
+   * Removes client from room and doesn't let it's session join this room again.
+   * Can be called only by desktop.
+   *
+   * @param {number} connectionId Banned client ID
+   * @param {?string} reason Optional reason, that is shown to banned client
+   * @memberof NetworkingAPI
+   */
+  ban(connectionId, reason) {
+    // Only desktop can ban clients. Server has same check.
+    if (this.platform === PLATFORM.DESKTOP) this.socket.emit('room:ban', connectionId, reason);
+  }
+
+  /**
+   * Returns profile of player
+   *
+   * @param {?number} connectionId Player id. Own profile is returned by default.
+   * @returns {?Object} Profile with name, color and avatar properties
+   * @memberof NetworkingAPI
+   */
+  getProfile(connectionId = this.connectionId) {
+    const connection = this.clientConnections[connectionId];
+    return connection ? connection.profile : undefined;
+  }
+
+  /**
+   * Changes own name, color or avatar. Server can change name to make it unique.
+   * Can be called only by controller.
+   *
+   * @param {Object} changes Changed profile properties. See 'profile.js' for format.
+   * @memberof NetworkingAPI
+   */
+  updateProfile(changes) {
+    // Only controllers have profiles. Server has same check.
+    if (this.platform === PLATFORM.CONTROLLER) {
+      this.socket.emit('profile:update', changes);
+    }
+  }
+
+  /**
+   * Sets game events, that audience members are allowed to send.
+   * Audience events are delivered only to desktop.
+   * Can be called only by desktop. List is cleared when game is changed.
+   *
+   * @param {Array<string>} events Event names
+   * @memberof NetworkingAPI
+   */
+  setAudienceEvents(events) {
+    if (!Array.isArray(events)) throw new Error('Invalid audience events');
+    // Only desktop can update audience events. Server has same check.
+    if (this.platform === PLATFORM.DESKTOP) {
+      this.socket.emit('audience:events', events);
+    }
+  }
+
+  /**
+   * Returns game module's snapshot data, interpolated for current render time.
+   * Desktop can call it every frame, when room has tick rate.
+   *
+   * @param {?Function} interpolator Function (from, to, alpha) that interpolates snapshot data.
+   * Numbers in nested objects and arrays are interpolated by default.
+   * @returns {any} Interpolated data or undefined, if no snapshots were received yet
+   * @memberof NetworkingAPI
+   */
+  getSnapshot(interpolator = interpolate) {
+    return this.snapshots.getInterpolated(interpolator);
+  }
+
+  /**
+   * Returns counters of received, dropped, outdated and starved snapshots
+   *
+   * @returns {Object} Snapshot stats
+   * @memberof NetworkingAPI
+   */
+  getSnapshotStats() {
+    return this.snapshots.getStats();
+  }
+
+  /**
+   * Returns shared room state
+   *
+   * @param {?string} key State key. If not specified, a copy of whole state is returned.
+   * @returns {any} Value of state key or whole state
+   * @memberof NetworkingAPI
+   */
+  getState(key) {
+    if (key == null) return Object.assign({}, this.state);
+    return this.state[key];
+  }
+
+  /**
+   * Changes value of one room state key.
+   * Local state is updated once server confirms change with 'state:change' event.
+   *
+   * @param {string} key State key
+   * @param {any} value New value. Null removes key from state.
+   * @param {?STATE_PERMISSION} permission Write permission, used if key is created
+   * @memberof NetworkingAPI
+   */
+  setState(key, value, permission) {
+    this.patchState({ [key]: value }, permission ? { [key]: permission } : undefined);
+  }
+
+  /**
+   * Changes values of several room state keys at once.
+   * Server notifies about keys, that can't be written, with 'state:error' event.
+   *
+   * @param {Object} patch Changed keys and their values. Null values remove keys from state.
+   * @param {?Object.<string, STATE_PERMISSION>} permissions Write permissions of created keys
+   * @memberof NetworkingAPI
+   */
+  patchState(patch, permissions) {
+    if (!patch || typeof patch !== 'object') throw new Error('Invalid state patch');
+    // State can be changed only in room
+    if (!this.isInRoom) return;
+    this.socket.emit('state:patch', patch, permissions);
+  }
+
   /**
    * Sends game event to special player or everyone except sender.
    *
    * @param {any} event Sent event name
    * @param {?Number} to Client ID. When equals to -1, emits event to everyone, except sender
    * @param {any} args Message arguments
+   * @throws {Error} During development throws if event doesn't match game's event schema
    * @memberof Room
    */
   gameSend(event, to = -1, ...args) {
+    // Server validates events anyway, but during development it's easier to catch errors here
+    if (process.env.NODE_ENV !== 'production') {
+      // Audience events are always sent to desktop
+      const target = this.platform === PLATFORM.AUDIENCE ? 0 : to;
+      const error = validateGameEvent(this.gameSchema, event, args, this.platform, target);
+      if (error) throw new Error(`Game event '${event}' doesn't match schema: ${error}`);
+    }
+    // Events with strings or objects can't be encoded, so they are sent as JSON
+    const encoded = this.eventTable ? encodeGameEvent(this.eventTable, event, to, args) : null;
+    if (encoded) {
+      this.socket.emit('game:binary', encoded);
+      return;
+    }
     this.socket.emit('game:event', {
       connectionId: to,
+      event,
       args,
     });
   }
 
+  /**
+   * Measures clock offset with several round trips to server.
+   * Called automatically on connect and then periodically.
+   *
+   * @returns {void}
+   * @memberof NetworkingAPI
+   */
+  syncClock() {
+    clearTimeout(this.clockTimeout);
+    // Socket will send session token after reconnect, so clock will be synchronized then
+    if (!this.socket || !this.socket.connected) return;
+    this.clockPings = CLOCK_SETTINGS.SAMPLES;
+    this.socket.emit('clock:ping', Date.now());
+  }
+
+  /**
+   * Returns estimated server time. Same for desktop and all controllers,
+   * so it can be used for countdowns and buzzers.
+   *
+   * @returns {number} Server time in ms
+   * @memberof NetworkingAPI
+   */
+  getServerTime() {
+    return this.clock.getServerTime();
+  }
+
+  /**
+   * Subscribe to clock synchronizations
+   *
+   * @param {function} handler Callback function. Called with { offset, rtt }
+   * @returns {Number} Listener index in event array
+   * @memberof NetworkingAPI
+   */
+  onClockSync(handler) {
+    return this.on('clock:sync', handler);
+  }
+
+  /**
+   * Returns server time, when game event, that is being handled, was received by server.
+   * Can be used to order buzzer presses fairly.
+   *
+   * @returns {?number} Server time in ms or undefined, if room was opened without timestamps
+   * option or it's called outside of game event handler
+   * @memberof NetworkingAPI
+   */
+  getEventTime() {
+    return this.eventTime;
+  }
+
+  /**
+   * Sets controller's input value, like stick position or tilt.
+   * Unlike game events, inputs are not queued: values, that are set during send interval
+   * or while connection stalls, are coalesced and only newest value of each channel is sent.
+   * Server sends them to desktop as volatile events. Can be called only by controllers.
+   *
+   * @param {string} channel Input channel name
+   * @param {any} value New value. Must be serializable to JSON.
+   * @throws {Error} Throws if channel name is invalid
+   * @memberof NetworkingAPI
+   */
+  inputSend(channel, value) {
+    if (!channel || typeof channel !== 'string' || channel.length > INPUT_SETTINGS.CHANNEL_LENGTH_MAX) {
+      throw new Error('Invalid input channel');
+    }
+    if (this.platform !== PLATFORM.CONTROLLER) return;
+
+    this.pendingInputs[channel] = value;
+    this.scheduleInputs();
+  }
+
+  /**
+   * Schedules input update for next send interval
+   *
+   * @returns {void}
+   * @memberof NetworkingAPI
+   */
+  scheduleInputs() {
+    // Update is already scheduled, so it will contain new values too
+    if (this.inputTimeout) return;
+    const delay = Math.max(0, (this.lastInputTime + INPUT_SETTINGS.SEND_INTERVAL) - Date.now());
+    this.inputTimeout = setTimeout(() => {
+      this.inputTimeout = undefined;
+      this.flushInputs();
+    }, delay);
+  }
+
+  /**
+   * Sends pending input values to server.
+   * Socket.io client doesn't support volatile emits, so values are kept here,
+   * while transport is busy, instead of being queued by socket.io.
+   *
+   * @returns {void}
+   * @memberof NetworkingAPI
+   */
+  flushInputs() {
+    if (Object.keys(this.pendingInputs).length === 0) return;
+    // Values are outdated, when we reconnect, so there is no need to keep them
+    if (!this.isInRoom || !this.socket.connected) {
+      this.pendingInputs = {};
+      return;
+    }
+    const { engine } = this.socket.io;
+    if (engine && engine.transport && !engine.transport.writable) {
+      // Newer values will replace pending ones, while we wait
+      this.lastInputTime = Date.now();
+      this.scheduleInputs();
+      return;
+    }
+    this.lastInputTime = Date.now();
+    this.socket.emit('input:update', this.pendingInputs);
+    this.pendingInputs = {};
+  }
+
+  /**
+   * Subscribe to input changes of controllers. Only desktop receives inputs.
+   *
+   * @param {string} channel Input channel name
+   * @param {function} handler Callback function. Called with (connectionId, value)
+   * @returns {Number} Listener index in channel array
+   * @memberof NetworkingAPI
+   */
+  inputOn(channel, handler) {
+    if (!this.inputEvents[channel]) this.inputEvents[channel] = [];
+    return this.inputEvents[channel].push(handler) - 1;
+  }
+
+  /**
+   * Returns newest input value of controller
+   *
+   * @param {number} connectionId Controller connection ID
+   * @param {string} channel Input channel name
+   * @returns {any} Input value or undefined, if controller hasn't sent it yet
+   * @memberof NetworkingAPI
+   */
+  getInput(connectionId, channel) {
+    const inputs = this.inputs[connectionId];
+    return inputs ? inputs[channel] : undefined;
+  }
+
+  /**
+   * Returns newest connection quality of player. Server sends it to host only.
+   *
+   * @param {number} connectionId Player connection ID
+   * @returns {?Object} { rtt, jitter, loss } or null, if quality isn't known yet.
+   * rtt and jitter are in ms, loss is part of lost heartbeats from 0 to 1.
+   * @memberof NetworkingAPI
+   */
+  getConnectionQuality(connectionId) {
+    const quality = this.connectionQuality[connectionId];
+    return quality ? Object.assign({}, quality) : null;
+  }
+
+  /**
+   * Checks quality against thresholds
+   *
+   * @param {Object} quality Connection quality
+   * @returns {boolean} True if connection is bad
+   * @memberof NetworkingAPI
+   */
+  isBadQuality(quality) {
+    const { rtt, loss } = this.qualityThresholds;
+    return quality.loss >= loss || (quality.rtt != null && quality.rtt >= rtt);
+  }
+
+  /**
+   * Sends game event to special player and waits for it's response.
+   * Response is a value returned by handler, subscribed with gameHandle.
+   *
+   * @param {any} event Requested event name
+   * @param {!Number} to Client ID
+   * @param {any} args Request arguments
+   * @returns {Promise} A promise, that is resolved with response value.
+   * Rejected with RequestTimeoutError, RequestTargetError or RequestHandlerError.
+   * @memberof NetworkingAPI
+   */
+  gameRequest(event, to, ...args) {
+    // Request can be sent only to connection in same room
+    if (typeof to !== 'number' || to < 0 || !this.isInRoom) {
+      return Promise.reject(new RequestTargetError());
+    }
+
+    this.requestCounter += 1;
+    const requestId = this.requestCounter;
+    // eslint-disable-next-line promise/avoid-new
+    const promise = new Promise((resolve, reject) => {
+      this.requests[requestId] = {
+        to,
+        resolve,
+        reject,
+        timeout: setTimeout(() => {
+          delete this.requests[requestId];
+          reject(new RequestTimeoutError());
+        }, this.requestTimeout),
+      };
+    });
+    this.socket.emit('game:request', {
+      connectionId: to,
+      event,
+      args,
+      requestId,
+    });
+    return promise;
+  }
+
+  /**
+   * Rejects pending game requests with RequestTargetError
+   *
+   * @param {?Number} to Reject only requests sent to this client. All requests by default.
+   * @memberof NetworkingAPI
+   */
+  rejectRequests(to) {
+    Object.keys(this.requests).forEach((requestId) => {
+      const request = this.requests[requestId];
+      if (to != null && request.to !== to) return;
+      delete this.requests[requestId];
+      clearTimeout(request.timeout);
+      request.reject(new RequestTargetError());
+    });
+  }
+
+  /**
+   * Sets handler, that responds to game requests.
+   * Only one handler can be set for each event.
+   *
+   * @param {string} event Handled event name
+   * @param {?function} handler Callback function. Called with (senderId, ...other arguments).
+   * Returned value or promise is sent as a response. Thrown errors reject request.
+   * Pass null to remove handler.
+   * @memberof NetworkingAPI
+   */
+  gameHandle(event, handler) {
+    if (handler == null) {
+      delete this.gameHandlers[event];
+    } else {
+      this.gameHandlers[event] = handler;
+    }
+  }
+
   /**
    * Locally emits game event.
    * Calls all game listeners, subscribed with gameOn or gameOnce.
    *
    * @param {String} event Emitted event name
    * @param {Number} senderId Game event sender ID
+   * @param {any} args Event arguments. Listeners get them as separate arguments after sender ID.
    * @memberof NetworkingAPI
    */
   gameEmit(event, senderId, ...args) {
@@ -371,6 +1361,7 @@ class NetworkingAPI {
    *
    * @param {string} event Subscribed event name
    * @param {function} handler Callback function. Called with (senderId, ...other arguments)
+   * senderId is -1 for events, that are sent by server-side game module.
    * @returns {Number} Listener index in event array
    * @memberof NetworkingAPI
    */
@@ -403,7 +1394,8 @@ class NetworkingAPI {
   /**
    * Exports some primary networking functions, that can be used by game api.
    *
-   * @returns {Object} Contains .emit, .on and .once functions.
+   * @returns {Object} Contains .emit, .on, .once, .request and .handle functions,
+   * room state and controller input functions.
    */
   export() {
     const getConnectionId = (() => this.connectionId);
@@ -411,33 +1403,61 @@ class NetworkingAPI {
       emit: this.gameSend.bind(this),
       on: this.gameOn.bind(this),
       once: this.gameOnce.bind(this),
+      request: this.gameRequest.bind(this),
+      handle: this.gameHandle.bind(this),
+      inputSend: this.inputSend.bind(this),
+      inputOn: this.inputOn.bind(this),
+      getInput: this.getInput.bind(this),
+      getServerTime: this.getServerTime.bind(this),
+      getEventTime: this.getEventTime.bind(this),
+      getConnectionQuality: this.getConnectionQuality.bind(this),
       getConnectionId: getConnectionId.bind(this),
+      getState: this.getState.bind(this),
+      setState: this.setState.bind(this),
+      patchState: this.patchState.bind(this),
     };
   }
 
 
   /**
-   * Checks that room name is valid:
+   * Converts room code, typed by user, to normalized form.
+   * With default scheme codes are case-insensitive and can contain spaces and dashes.
+   *
+   * @static
+   * @param {string} roomName - Room code
+   * @returns {string} - Normalized room code
+   * @memberof NetworkingAPI
+   */
+  static normalizeRoomName(roomName) {
+    return NetworkingAPI.roomCodes.normalize(roomName);
+  }
+
+  /**
+   * Checks that room name is valid without asking server:
    * * It starts with real server index.
-   * * It's length is more than minimal room name length.
+   * * Rest of it is valid room code. Default scheme checks it's length and that it has only digits.
    *
    * @static
-   * @param {string} roomName - Checked room name
+   * @param {string} roomName - Checked room name. It's normalized first.
    * @returns {boolean} - Returns true if room name is valid
    * @memberof NetworkingAPI
    */
   static isValidRoomName(roomName) {
+    if (typeof roomName !== 'string') return false;
+    const code = NetworkingAPI.normalizeRoomName(roomName);
     // Get id's of all valid servers
     const serverIndexes = Object.keys(SERVERS);
     // Find server index from room name
-    const serverIndex = serverIndexes.find(index => roomName.startsWith(index));
+    const serverIndex = serverIndexes.find(index => code.startsWith(index));
     // Room name must start from server index
     if (serverIndex == null) return false;
-    // Real room name length is calculated without server index
-    const realRoomLength = roomName.length - serverIndex.length;
-    // Check that room name's length is >= minimal length
-    return realRoomLength >= ROOM_SETTINGS.LENGTH_MIN;
+    // Real room name is checked without server index
+    return NetworkingAPI.roomCodes.isValid(code.substr(serverIndex.length));
   }
 }
 
+// Room code scheme. Should be same as server's one. See 'roomcode.js'.
+// Servers with alphabetic codes need AlphabeticRoomCodes here too.
+NetworkingAPI.roomCodes = new NumericRoomCodes();
+
 export default NetworkingAPI;
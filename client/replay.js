@@ -0,0 +1,276 @@
+/**
+ * @file Replays room recordings, that are written by server's recorder.js,
+ *       into NetworkingAPI instance. Api receives same messages, that desktop or
+ *       one of controllers has received, so bugs can be reproduced without server.
+ */
+
+/**
+ * Fake socket, that is attached to api instead of socket.io connection
+ *
+ * @class ReplaySocket
+ */
+class ReplaySocket {
+  /**
+   * Creates an instance of ReplaySocket.
+   *
+   * @memberof ReplaySocket
+   */
+  constructor() {
+    this.handlers = {};
+    // Api changes reconnect options, when it receives session token
+    this.io = { opts: {} };
+    // Events, that api has sent to server during replay
+    this.sent = [];
+    this.connected = true;
+  }
+
+  /**
+   * Subscribes to recorded event
+   *
+   * @param {string} event Event name
+   * @param {Function} handler Event handler
+   * @returns {ReplaySocket} This socket
+   * @memberof ReplaySocket
+   */
+  on(event, handler) {
+    if (!this.handlers[event]) this.handlers[event] = [];
+    this.handlers[event].push(handler);
+    return this;
+  }
+
+  /**
+   * Stores event, that api sends to server. Nobody receives it.
+   *
+   * @param {string} event Event name
+   * @param {any} args Event arguments
+   * @returns {ReplaySocket} This socket
+   * @memberof ReplaySocket
+   */
+  emit(event, ...args) {
+    this.sent.push({ event, args });
+    return this;
+  }
+
+  /**
+   * Calls api handlers of recorded event
+   *
+   * @param {string} event Event name
+   * @param {any} args Event arguments
+   * @returns {void}
+   * @memberof ReplaySocket
+   */
+  receive(event, ...args) {
+    if (!this.connected) return;
+    (this.handlers[event] || []).forEach(handler => handler(...args));
+  }
+
+  /**
+   * Stops delivering recorded events
+   *
+   * @returns {ReplaySocket} This socket
+   * @memberof ReplaySocket
+   */
+  disconnect() {
+    this.connected = false;
+    return this;
+  }
+}
+
+/**
+ * Parses JSONL recording
+ *
+ * @param {string} text Recording file content
+ * @returns {Array<Object>} Records
+ */
+export function parseRecording(text) {
+  return text.split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Checks if connection has received recorded event
+ *
+ * @param {Object} record Emit record
+ * @param {number} connectionId Connection ID
+ * @returns {boolean} True if event was sent to this connection
+ */
+function isRecipient({ to, except }, connectionId) {
+  if (Array.isArray(to)) return to.includes(connectionId);
+  if (to != null && to !== -1) return to === connectionId;
+  if (Array.isArray(except)) return !except.includes(connectionId);
+  return except == null || except === -1 || except !== connectionId;
+}
+
+/**
+ * Room information, that is collected from all records,
+ * so api can receive room:status, when it joins room in the middle of recording.
+ *
+ * @class RoomSnapshot
+ */
+class RoomSnapshot {
+  /**
+   * Creates an instance of RoomSnapshot.
+   * @param {Object} openRecord Record, that was written when room was opened
+   * @memberof RoomSnapshot
+   */
+  constructor(openRecord) {
+    this.roomName = openRecord.room;
+    this.limits = openRecord.limits || {};
+    this.connections = {};
+    this.state = {};
+    this.game = undefined;
+    this.schema = undefined;
+    this.binary = false;
+  }
+
+  /**
+   * Applies recorded event to snapshot
+   *
+   * @param {string} event Event name
+   * @param {Array} args Event arguments
+   * @returns {void}
+   * @memberof RoomSnapshot
+   */
+  apply(event, args) {
+    const [first, second, third] = args;
+    switch (event) {
+      case 'connections:join':
+      case 'connections:rejoin':
+        this.connections[first] = { session: second, profile: third };
+        break;
+      case 'connections:disconnect':
+        delete this.connections[first];
+        break;
+      case 'connections:profile':
+        if (this.connections[first]) this.connections[first].profile = second;
+        break;
+      case 'state:diff':
+        Object.keys(first).forEach((key) => {
+          // Null values mean that key was removed
+          if (first[key] == null) {
+            delete this.state[key];
+          } else {
+            this.state[key] = first[key];
+          }
+        });
+        break;
+      case 'game:set':
+        this.game = first;
+        this.schema = second;
+        this.binary = Boolean(third);
+        break;
+      case 'room:limits':
+        this.limits = first;
+        break;
+    }
+  }
+
+  /**
+   * Creates room:status payload, that server sends to joined client
+   *
+   * @param {number} connectionId Joined client id
+   * @returns {Object} Room status
+   * @memberof RoomSnapshot
+   */
+  getStatus(connectionId) {
+    return JSON.parse(JSON.stringify({
+      connections: this.connections,
+      connectionId,
+      roomName: this.roomName,
+      state: this.state,
+      limits: this.limits,
+      game: this.game,
+      schema: this.schema,
+      binary: this.binary,
+    }));
+  }
+}
+
+/**
+ * Restores binary arguments. Recorder writes Node.js Buffers as { type: 'Buffer', data }.
+ *
+ * @param {Array} args Recorded event arguments
+ * @returns {Array} Arguments with Uint8Arrays instead of serialized Buffers
+ */
+function reviveBinary(args) {
+  return args.map(arg => (arg && arg.type === 'Buffer' && Array.isArray(arg.data)
+    ? Uint8Array.from(arg.data)
+    : arg));
+}
+
+/**
+ * Waits for specified time
+ *
+ * @param {number} ms Time in ms
+ * @returns {Promise} A promise that will be resolved after timeout
+ */
+function sleep(ms) {
+  // eslint-disable-next-line promise/avoid-new
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Feeds room recording into api, as if it was connected to recorded room.
+ *
+ * @param {NetworkingAPI} api Api instance, that receives recorded events
+ * @param {string|Array<Object>} recording JSONL recording or parsed records
+ * @param {?Object} options Replay options
+ * @param {?number} options.connectionId Whose messages are replayed.
+ * 0 is desktop, positive ids are controllers.
+ * @param {?number} options.speed Timing multiplier. 1 keeps original timing,
+ * bigger values accelerate replay. Infinity replays everything without delays.
+ * @returns {Promise} A promise that will be resolved with events, that api has sent during replay
+ */
+export default async function replay(api, recording, options = {}) {
+  const records = typeof recording === 'string' ? parseRecording(recording) : recording;
+  const connectionId = options.connectionId != null ? options.connectionId : 0;
+  const speed = options.speed || 1;
+
+  const socket = new ReplaySocket();
+  api.attachSocket(socket);
+
+  let snapshot;
+  let joined = false;
+  let lastTime;
+  /* eslint-disable no-await-in-loop */
+  for (let i = 0; i < records.length && socket.connected; i += 1) {
+    const record = records[i];
+    // Keep original delays between records, divided by speed
+    if (lastTime != null && Number.isFinite(speed)) {
+      const delay = (record.time - lastTime) / speed;
+      if (delay > 0) await sleep(delay);
+    }
+    lastTime = record.time;
+
+    if (record.type === 'open') {
+      snapshot = new RoomSnapshot(record);
+      if (connectionId === 0) {
+        joined = true;
+        socket.receive('room:status', snapshot.getStatus(0));
+      }
+    } else if (record.type === 'emit' && snapshot) {
+      const { event } = record;
+      const args = reviveBinary(record.args);
+      snapshot.apply(event, args);
+      const own = args[0] === connectionId && connectionId > 0;
+      if (!joined && own && (event === 'connections:join' || event === 'connections:rejoin')) {
+        // Replayed controller has joined room. It's own join event was sent only to others.
+        joined = true;
+        socket.receive('room:status', snapshot.getStatus(connectionId));
+      } else if (joined && own && event === 'connections:disconnect') {
+        // Replayed controller has left room
+        joined = false;
+        socket.receive('room:status', {});
+      } else if (joined && isRecipient(record, connectionId)) {
+        socket.receive(event, ...args);
+      }
+    } else if (record.type === 'close' && joined) {
+      joined = false;
+      socket.receive('room:status', {});
+    }
+  }
+  /* eslint-enable no-await-in-loop */
+  socket.disconnect();
+  return socket.sent;
+}
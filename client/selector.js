@@ -0,0 +1,189 @@
+/**
+ * @file Selects best server from 'servers.js'. Each server is pinged several times
+ *       and median latency is weighed against load, that server reports in /ping response.
+ *       Results are cached, so opening several rooms in a row doesn't ping servers again.
+ */
+
+import SERVERS from '../servers';
+
+/**
+ * Sends GET request with a timeout
+ *
+ * @param {string} address Request url
+ * @param {number} timeout Timeout in ms
+ * @returns {Promise} A promise that will be resolved with response text
+ * or rejected, if request has failed
+ */
+function fetchTimeout(address, timeout) {
+  // eslint-disable-next-line promise/avoid-new
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.timeout = timeout;
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr.responseText);
+      } else {
+        reject(new Error(`Ping has failed with status ${xhr.status}`));
+      }
+    };
+    xhr.onerror = reject;
+    xhr.ontimeout = reject;
+    xhr.open('GET', address, true);
+    xhr.send();
+  });
+}
+
+/**
+ * Returns median of numbers
+ *
+ * @param {Array<number>} values Numbers
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Measures servers and ranks them
+ *
+ * @class ServerSelector
+ */
+export default class ServerSelector {
+  /**
+   * Creates an instance of ServerSelector.
+   * @param {?Object} options Options
+   * @param {?number} options.samples Number of pings per server
+   * @param {?number} options.timeout Ping timeout in ms
+   * @param {?number} options.cacheTime How long ranking is valid, in ms
+   * @param {?number} options.loadPenalty Latency in ms, that is added to fully loaded server.
+   * Server with load 0.5 gets half of it.
+   * @param {?Object} options.servers Server list. Defaults to 'servers.js'.
+   * @memberof ServerSelector
+   */
+  constructor(options = {}) {
+    this.samples = options.samples || 3;
+    this.timeout = options.timeout || 5000;
+    this.cacheTime = options.cacheTime != null ? options.cacheTime : 60000;
+    this.loadPenalty = options.loadPenalty != null ? options.loadPenalty : 200;
+    this.servers = options.servers || SERVERS;
+    this.invalidate();
+  }
+
+  /**
+   * Forgets cached ranking, so servers are measured again on next selection
+   *
+   * @returns {void}
+   * @memberof ServerSelector
+   */
+  invalidate() {
+    this.ranking = null;
+    this.rankedAt = 0;
+    this.pendingRanking = null;
+  }
+
+  /**
+   * Pings server once
+   *
+   * @param {string} address Ping url
+   * @returns {Promise} A promise that will be resolved with { latency, load }
+   * or null, if server hasn't responded
+   * @memberof ServerSelector
+   */
+  async ping(address) {
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await fetchTimeout(address, this.timeout);
+    } catch (err) {
+      return null;
+    }
+    const latency = Date.now() - startTime;
+    let load = 0;
+    try {
+      // Servers, that don't report load, are treated as idle
+      load = Number(JSON.parse(response).load) || 0;
+    } catch (err) {
+      load = 0;
+    }
+    return { latency, load };
+  }
+
+  /**
+   * Pings server several times. Pings are sent one by one, so they don't delay each other.
+   *
+   * @param {string} index Server index
+   * @returns {Promise} A promise that will be resolved with { index, latency, load, score }.
+   * Score is Infinity, if most of pings have failed.
+   * @memberof ServerSelector
+   */
+  async measure(index) {
+    const results = [];
+    /* eslint-disable no-await-in-loop */
+    for (let i = 0; i < this.samples; i += 1) {
+      const result = await this.ping(this.servers[index][1]);
+      if (result) results.push(result);
+    }
+    /* eslint-enable no-await-in-loop */
+
+    if (results.length === 0 || results.length < this.samples / 2) {
+      return {
+        index, latency: Infinity, load: 0, score: Infinity,
+      };
+    }
+    // Median ignores pings, that were delayed by network jitter
+    const latency = median(results.map(result => result.latency));
+    // Newest load is most accurate
+    const { load } = results[results.length - 1];
+    return {
+      index, latency, load, score: latency + (load * this.loadPenalty),
+    };
+  }
+
+  /**
+   * Measures all servers and sorts them from best to worst
+   *
+   * @returns {Promise} A promise that will be resolved with array of
+   * { index, latency, load, score }
+   * @memberof ServerSelector
+   */
+  async measureAll() {
+    const ranking = await Promise.all(Object.keys(this.servers).map(index => this.measure(index)));
+    this.ranking = ranking.sort((a, b) => a.score - b.score);
+    this.rankedAt = Date.now();
+    this.pendingRanking = null;
+    return this.ranking;
+  }
+
+  /**
+   * Returns cached ranking or measures servers again, if it's outdated
+   *
+   * @param {?boolean} force Measure servers, even if cached ranking is still valid
+   * @returns {Promise} A promise that will be resolved with ranking. See measureAll.
+   * @memberof ServerSelector
+   */
+  async rank(force = false) {
+    if (!force && this.ranking && Date.now() - this.rankedAt < this.cacheTime) return this.ranking;
+    // Several callers can wait for same measurement
+    if (!this.pendingRanking) this.pendingRanking = this.measureAll();
+    return this.pendingRanking;
+  }
+
+  /**
+   * Selects best available server
+   *
+   * @param {?Array<number>} exclude Indexes of servers, that shouldn't be selected
+   * @param {?boolean} force Measure servers, even if cached ranking is still valid
+   * @returns {Promise} A promise that will be resolved with server index
+   * or null, if all servers are unavailable
+   * @memberof ServerSelector
+   */
+  async select(exclude = [], force = false) {
+    const ranking = await this.rank(force);
+    const best = ranking.find(server => (
+      Number.isFinite(server.score) && !exclude.includes(Number(server.index))
+    ));
+    return best ? Number(best.index) : null;
+  }
+}
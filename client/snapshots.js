@@ -0,0 +1,148 @@
+/**
+ * @file Buffer of numbered room snapshots, that are sent by rooms with tick rate.
+ *       Desktop renders game slightly in the past and interpolates between two snapshots,
+ *       so network jitter isn't visible.
+ */
+
+/**
+ * Interpolates numbers in nested objects and arrays.
+ * Values, that can't be interpolated, are taken from next snapshot.
+ *
+ * @param {any} from Previous value
+ * @param {any} to Next value
+ * @param {number} alpha Interpolation factor from 0 to 1
+ * @returns {any} Interpolated value
+ */
+export function interpolate(from, to, alpha) {
+  if (typeof from === 'number' && typeof to === 'number') return from + ((to - from) * alpha);
+  if (Array.isArray(from) && Array.isArray(to)) {
+    return to.map((value, i) => interpolate(from[i], value, alpha));
+  }
+  if (from && to && typeof from === 'object' && typeof to === 'object') {
+    return Object.keys(to).reduce((acc, key) => {
+      acc[key] = interpolate(from[key], to[key], alpha);
+      return acc;
+    }, {});
+  }
+  return to;
+}
+
+/**
+ * Stores recent snapshots and finds two of them around render time
+ *
+ * @class SnapshotBuffer
+ */
+export default class SnapshotBuffer {
+  /**
+   * Creates an instance of SnapshotBuffer.
+   * @param {?Object} options Options
+   * @param {?number} options.delay How far in the past game is rendered, in ms.
+   * Should be bigger than two tick periods.
+   * @param {?number} options.size Maximal number of stored snapshots
+   * @memberof SnapshotBuffer
+   */
+  constructor(options = {}) {
+    this.delay = options.delay != null ? options.delay : 100;
+    this.size = options.size || 32;
+    this.clear();
+  }
+
+  /**
+   * Removes all snapshots and resets stats
+   *
+   * @returns {void}
+   * @memberof SnapshotBuffer
+   */
+  clear() {
+    this.snapshots = [];
+    // Difference between server and local clock, based on fastest received snapshot
+    this.offset = undefined;
+    this.stats = {
+      received: 0,
+      // Snapshots, that never arrived. Detected by gaps in tick numbers.
+      dropped: 0,
+      // Snapshots, that arrived after newer ones and were ignored
+      outdated: 0,
+      // Render time was ahead of newest snapshot, so there was nothing to interpolate to
+      starved: 0,
+    };
+  }
+
+  /**
+   * Adds received snapshot
+   *
+   * @param {Object} snapshot Snapshot: { tick, time, inputs, data }
+   * @param {?number} receivedAt Local receive time
+   * @returns {boolean} False if snapshot is older than newest one
+   * @memberof SnapshotBuffer
+   */
+  push(snapshot, receivedAt = Date.now()) {
+    const newest = this.snapshots[this.snapshots.length - 1];
+    if (newest && snapshot.tick <= newest.tick) {
+      this.stats.outdated += 1;
+      return false;
+    }
+    this.stats.received += 1;
+    if (newest) this.stats.dropped += snapshot.tick - newest.tick - 1;
+
+    // Snapshot with lowest latency gives most accurate clock difference
+    const offset = snapshot.time - receivedAt;
+    if (this.offset === undefined || offset > this.offset) this.offset = offset;
+
+    this.snapshots.push(snapshot);
+    if (this.snapshots.length > this.size) this.snapshots.shift();
+    return true;
+  }
+
+  /**
+   * Finds snapshots around render time
+   *
+   * @param {?number} now Local time
+   * @returns {?Object} { from, to, alpha } or null, if there are no snapshots yet
+   * @memberof SnapshotBuffer
+   */
+  sample(now = Date.now()) {
+    const { snapshots } = this;
+    if (snapshots.length === 0) return null;
+
+    const renderTime = (now + this.offset) - this.delay;
+    const newest = snapshots[snapshots.length - 1];
+    if (renderTime >= newest.time) {
+      this.stats.starved += 1;
+      return { from: newest, to: newest, alpha: 1 };
+    }
+    // Render time is older than all snapshots, so show oldest one
+    if (renderTime <= snapshots[0].time) return { from: snapshots[0], to: snapshots[0], alpha: 0 };
+
+    let i = snapshots.length - 1;
+    while (snapshots[i - 1].time > renderTime) i -= 1;
+    const from = snapshots[i - 1];
+    const to = snapshots[i];
+    return { from, to, alpha: (renderTime - from.time) / (to.time - from.time) };
+  }
+
+  /**
+   * Returns snapshot data, interpolated for render time
+   *
+   * @param {?Function} interpolator Function (from, to, alpha) that interpolates snapshot data.
+   * Numbers in nested objects and arrays are interpolated by default.
+   * @param {?number} now Local time
+   * @returns {any} Interpolated data or undefined, if there are no snapshots yet
+   * @memberof SnapshotBuffer
+   */
+  getInterpolated(interpolator = interpolate, now = Date.now()) {
+    const sample = this.sample(now);
+    if (!sample) return undefined;
+    return interpolator(sample.from.data, sample.to.data, sample.alpha);
+  }
+
+  /**
+   * Returns snapshot counters
+   *
+   * @returns {Object} Contains received, dropped, outdated and starved counters
+   * @memberof SnapshotBuffer
+   */
+  getStats() {
+    return Object.assign({}, this.stats);
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * @file Compact binary encoding of game events. Used by both server and client.
+ *
+ *       Event names are replaced with their index in game's event table, that both sides
+ *       create from event schema, when game is set. Only numbers, booleans, nulls and
+ *       numeric arrays can be encoded. Encoder returns null for anything else,
+ *       so event is sent as JSON instead.
+ *
+ *       Message layout: version, event id, peer id, argument count, arguments.
+ *       Peer is target connection ID in client messages and sender ID in server messages.
+ */
+
+// Format version. Decoder rejects messages with other versions.
+const VERSION = 1;
+
+// Argument type tags
+const TAG = {
+  NULL: 0,
+  TRUE: 1,
+  FALSE: 2,
+  INT: 3,
+  FLOAT: 4,
+  INT_ARRAY: 5,
+  FLOAT_ARRAY: 6,
+};
+
+// Integers in this range are encoded as varints. Bigger ones are encoded as floats.
+const MAX_VARINT = 2 ** 31;
+
+/**
+ * Creates event table from normalized schema
+ *
+ * @param {Object} schema Normalized event schema
+ * @returns {Array<string>} Event names, sorted so both sides get same ids
+ */
+function createEventTable(schema) {
+  return Object.keys(schema.events).sort();
+}
+
+/**
+ * Checks if value can be encoded as varint
+ *
+ * @param {any} value Checked value
+ * @returns {boolean} True if value is small integer
+ */
+function isSmallInt(value) {
+  return Number.isInteger(value) && Math.abs(value) < MAX_VARINT;
+}
+
+/**
+ * Growing byte buffer
+ *
+ * @class Writer
+ */
+class Writer {
+  /**
+   * Creates an instance of Writer.
+   *
+   * @memberof Writer
+   */
+  constructor() {
+    this.bytes = [];
+  }
+
+  /**
+   * Writes unsigned integer with 7 bits per byte
+   *
+   * @param {number} value Non-negative integer
+   * @returns {void}
+   * @memberof Writer
+   */
+  varint(value) {
+    let rest = value;
+    while (rest >= 0x80) {
+      this.bytes.push((rest % 0x80) + 0x80);
+      rest = Math.floor(rest / 0x80);
+    }
+    this.bytes.push(rest);
+  }
+
+  /**
+   * Writes signed integer. Zigzag encoding keeps small negative numbers short.
+   *
+   * @param {number} value Integer
+   * @returns {void}
+   * @memberof Writer
+   */
+  int(value) {
+    this.varint(value < 0 ? (-value * 2) - 1 : value * 2);
+  }
+
+  /**
+   * Writes 64-bit float
+   *
+   * @param {number} value Number
+   * @returns {void}
+   * @memberof Writer
+   */
+  float(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    for (let i = 0; i < 8; i += 1) this.bytes.push(view.getUint8(i));
+  }
+
+  /**
+   * Returns written bytes
+   *
+   * @returns {ArrayBuffer} Encoded message. Socket.io sends it as binary attachment.
+   * @memberof Writer
+   */
+  finish() {
+    return Uint8Array.from(this.bytes).buffer;
+  }
+}
+
+/**
+ * Reads values, written by Writer
+ *
+ * @class Reader
+ */
+class Reader {
+  /**
+   * Creates an instance of Reader.
+   * @param {Uint8Array} bytes Encoded message
+   * @memberof Reader
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  /**
+   * Reads one byte
+   *
+   * @throws {Error} Throws if message has ended
+   * @returns {number} Byte
+   * @memberof Reader
+   */
+  byte() {
+    if (this.offset >= this.bytes.length) throw new Error('Unexpected end of message');
+    const value = this.bytes[this.offset];
+    this.offset += 1;
+    return value;
+  }
+
+  /**
+   * Reads unsigned integer
+   *
+   * @returns {number} Non-negative integer
+   * @memberof Reader
+   */
+  varint() {
+    let value = 0;
+    let multiplier = 1;
+    for (;;) {
+      const byte = this.byte();
+      value += (byte % 0x80) * multiplier;
+      if (byte < 0x80) return value;
+      multiplier *= 0x80;
+      if (multiplier > 2 ** 35) throw new Error('Varint is too long');
+    }
+  }
+
+  /**
+   * Reads signed integer
+   *
+   * @returns {number} Integer
+   * @memberof Reader
+   */
+  int() {
+    const value = this.varint();
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  }
+
+  /**
+   * Reads 64-bit float
+   *
+   * @returns {number} Number
+   * @memberof Reader
+   */
+  float() {
+    const view = new DataView(new ArrayBuffer(8));
+    for (let i = 0; i < 8; i += 1) view.setUint8(i, this.byte());
+    return view.getFloat64(0);
+  }
+}
+
+/**
+ * Encodes game event
+ *
+ * @param {Array<string>} table Event table
+ * @param {string} event Event name
+ * @param {number} peer Target connection ID for client messages or sender ID for server messages
+ * @param {Array} args Event arguments
+ * @returns {?ArrayBuffer} Encoded message or null, if event can't be encoded
+ */
+function encodeGameEvent(table, event, peer, args) {
+  const eventId = table.indexOf(event);
+  if (eventId === -1 || !isSmallInt(peer) || !Array.isArray(args)) return null;
+
+  const writer = new Writer();
+  writer.varint(VERSION);
+  writer.varint(eventId);
+  writer.int(peer);
+  writer.varint(args.length);
+  const encoded = args.every((arg) => {
+    if (arg == null) {
+      writer.varint(TAG.NULL);
+    } else if (typeof arg === 'boolean') {
+      writer.varint(arg ? TAG.TRUE : TAG.FALSE);
+    } else if (isSmallInt(arg)) {
+      writer.varint(TAG.INT);
+      writer.int(arg);
+    } else if (typeof arg === 'number') {
+      writer.varint(TAG.FLOAT);
+      writer.float(arg);
+    } else if (Array.isArray(arg) && arg.every(x => typeof x === 'number')) {
+      const ints = arg.every(isSmallInt);
+      writer.varint(ints ? TAG.INT_ARRAY : TAG.FLOAT_ARRAY);
+      writer.varint(arg.length);
+      arg.forEach(x => (ints ? writer.int(x) : writer.float(x)));
+    } else {
+      // Strings and objects are sent as JSON
+      return false;
+    }
+    return true;
+  });
+  return encoded ? writer.finish() : null;
+}
+
+/**
+ * Decodes game event
+ *
+ * @param {Array<string>} table Event table
+ * @param {ArrayBuffer|Uint8Array} data Encoded message. Node.js Buffer is Uint8Array too.
+ * @returns {?Object} { event, peer, args } or null, if message is not valid
+ */
+function decodeGameEvent(table, data) {
+  let bytes;
+  if (data instanceof Uint8Array) {
+    bytes = data;
+  } else if (data instanceof ArrayBuffer) {
+    bytes = new Uint8Array(data);
+  } else {
+    return null;
+  }
+
+  const reader = new Reader(bytes);
+  try {
+    if (reader.varint() !== VERSION) return null;
+    const event = table[reader.varint()];
+    if (event === undefined) return null;
+    const peer = reader.int();
+    const count = reader.varint();
+    // Every argument takes at least one byte, so bigger count can't be valid
+    if (count > bytes.length) return null;
+
+    const args = [];
+    for (let i = 0; i < count; i += 1) {
+      const tag = reader.varint();
+      if (tag === TAG.NULL) {
+        args.push(null);
+      } else if (tag === TAG.TRUE || tag === TAG.FALSE) {
+        args.push(tag === TAG.TRUE);
+      } else if (tag === TAG.INT) {
+        args.push(reader.int());
+      } else if (tag === TAG.FLOAT) {
+        args.push(reader.float());
+      } else if (tag === TAG.INT_ARRAY || tag === TAG.FLOAT_ARRAY) {
+        const length = reader.varint();
+        if (length > bytes.length) return null;
+        const array = [];
+        for (let j = 0; j < length; j += 1) {
+          array.push(tag === TAG.INT_ARRAY ? reader.int() : reader.float());
+        }
+        args.push(array);
+      } else {
+        return null;
+      }
+    }
+    // Message shouldn't have anything after arguments
+    if (reader.offset !== bytes.length) return null;
+    return { event, peer, args };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  createEventTable,
+  encodeGameEvent,
+  decodeGameEvent,
+};
@@ -21,16 +21,145 @@ module.exports = {
   PLATFORM: {
     CONTROLLER: 'controller',
     DESKTOP: 'desktop',
+    // Spectator, that doesn't take player slot
+    AUDIENCE: 'audience',
+  },
+
+  /**
+   * Allowed targets of game events, declared in game's event schema
+   *
+   * @readonly
+   * @enum {String}
+   */
+  EVENT_DIRECTION: {
+    // Event can be sent only to desktop
+    TO_HOST: 'to-host',
+    // Event can be sent only to controllers or broadcasted
+    TO_CONTROLLERS: 'to-controllers',
+    // Event can be sent to anyone
+    ANY: 'any',
+  },
+
+  /**
+   * Write permissions of room state keys.
+   * Host can write any key, except keys that are owned by other connections.
+   *
+   * @readonly
+   * @enum {String}
+   */
+  STATE_PERMISSION: {
+    // Only host can write this key
+    HOST: 'host',
+    // Only connection, that created this key, can write it
+    OWNER: 'owner',
+    // Anyone in room can write this key
+    ANYONE: 'anyone',
   },
 
   /**
    * All room settings.
    * For now minimal room name length is 3 letters.
+   * Player limits are default values, that can be changed for each room when it's opened.
    *
    * @readonly
    * @enum {String}
    */
   ROOM_SETTINGS: {
     LENGTH_MIN: 3,
+    // Maximal number of controllers in room. 0 means no limit.
+    MAX_PLAYERS: 0,
+    // Minimal number of controllers, that game needs to start
+    MIN_PLAYERS: 0,
+    // Should room be locked, when desktop sets game?
+    LOCK_ON_GAME_START: false,
+    // Should players login, before they can join room?
+    REQUIRE_AUTH: false,
+    // Simulation ticks per second. 0 means that game events are relayed immediately.
+    TICK_RATE: 0,
+    TICK_RATE_MAX: 60,
+    // Should game events carry server time, when server has received them?
+    TIMESTAMPS: false,
+    // Room is closed, if nobody sends game events for this time, in ms.
+    // 0 means that idle rooms are never closed. Servers or rooms can opt in with their own time.
+    MAX_IDLE_TIME: 0,
+    // Everyone in idle room is warned this time before room is closed, in ms
+    IDLE_WARNING_TIME: 60000,
+  },
+
+  /**
+   * Player profile limits.
+   * Colors are assigned to players in this order, so each player gets distinct color.
+   *
+   * @readonly
+   * @enum {String}
+   */
+  PROFILE_SETTINGS: {
+    NAME_LENGTH_MAX: 16,
+    AVATAR_LENGTH_MAX: 256,
+    COLORS: ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6'],
+  },
+
+  /**
+   * Limits of controller input channels.
+   * Input values, that are set during send interval, are coalesced, so only newest one is sent.
+   *
+   * @readonly
+   * @enum {Number}
+   */
+  INPUT_SETTINGS: {
+    // Minimal interval between input updates in ms
+    SEND_INTERVAL: 16,
+    // Maximal number of channels per controller
+    CHANNELS_MAX: 16,
+    CHANNEL_LENGTH_MAX: 32,
+  },
+
+  /**
+   * Socket connection settings
+   *
+   * @readonly
+   * @enum {Number}
+   */
+  CONNECTION_SETTINGS: {
+    // Client stops reconnecting after this number of attempts. Desktop re-opens it's room
+    // on another server then.
+    RECONNECT_ATTEMPTS: 10,
+    // Server sends heartbeats with this interval, in ms. Client answers them.
+    HEARTBEAT_INTERVAL: 5000,
+    // Socket is closed, if client hasn't answered heartbeats for this time, in ms.
+    // Three heartbeats can be missed, before socket is closed. socket.io 2 itself closes it
+    // only after ping interval and ping timeout (25 + 60 seconds by default in engine.io 3).
+    HEARTBEAT_TIMEOUT: 15000,
+  },
+
+  /**
+   * Connection quality settings. Quality is measured with heartbeats.
+   *
+   * @readonly
+   * @enum {Number}
+   */
+  QUALITY_SETTINGS: {
+    // Number of recent heartbeats, that quality is calculated from
+    SAMPLES: 10,
+    // Heartbeat, that isn't answered in this time, is counted as lost, in ms
+    LOSS_TIMEOUT: 2000,
+    // Server sends quality of all players to host with this interval, in ms
+    REPORT_INTERVAL: 5000,
+    // Default thresholds of bad connection, that client uses to emit quality events
+    BAD_RTT: 250,
+    BAD_LOSS: 0.1,
+  },
+
+  /**
+   * Clock synchronization settings
+   *
+   * @readonly
+   * @enum {Number}
+   */
+  CLOCK_SETTINGS: {
+    // Round trips per synchronization
+    SAMPLES: 6,
+    // Clocks drift, so offset is measured again after this interval, in ms
+    RESYNC_INTERVAL: 30000,
   },
 };
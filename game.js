@@ -0,0 +1,217 @@
+/**
+ * @file Server-side game modules. Module is registered in Networking gameModules option
+ *       and is started, when desktop sets game with same name.
+ *
+ *       Module is a function, that receives sandboxed room api and returns hooks:
+ *       {
+ *         // onTick calls per second. Ticking rooms use their own tick rate instead.
+ *         tickRate: 20,
+ *         onStart() {},
+ *         onJoin(connectionId, profile, rejoined) {},
+ *         onLeave(connectionId) {},
+ *         onEvent(sender, event, args) {}, // Return true to relay event as usual
+ *         // Time since previous tick in ms and events, that were batched by ticking room.
+ *         // Returned value is sent to everyone in room's snapshot.
+ *         onTick(delta, inputs) {},
+ *         onDispose() {},
+ *       }
+ */
+
+// Sender id of game events, that are emitted by game module
+const SERVER_SENDER_ID = -1;
+
+/**
+ * Creates api, that game module uses to interact with room.
+ * Room itself is not reachable from module.
+ *
+ * @param {Room} room Room, where game is running
+ * @returns {Object} Frozen api object
+ */
+function createGameRoomAPI(room) {
+  return Object.freeze({
+    /**
+     * Room name
+     */
+    roomName: room.name,
+
+    /**
+     * Returns connected players
+     *
+     * @returns {Object.<number, Object>} a dictionary of connection id's and { session, profile }
+     */
+    getConnections() {
+      return room.getClientConnections();
+    },
+
+    /**
+     * Sends game event from server. Receivers get -1 as sender id.
+     *
+     * @param {string} event Event name
+     * @param {?Number|Array<Number>} to Target connection ID. -1 sends event to everyone.
+     * @param {any} args Event arguments
+     * @returns {void}
+     */
+    emit(event, to = -1, ...args) {
+      const payload = { sender: SERVER_SENDER_ID, event, args };
+      if (room.timestamps) payload.time = Date.now();
+      room.emit('game:event', to, null, payload);
+    },
+
+    /**
+     * Sends game event on behalf of player, like room does when module lets event through
+     *
+     * @param {number} sender Original sender id
+     * @param {string} event Event name
+     * @param {?Number|Array<Number>} to Target connection ID. -1 sends event to everyone.
+     * @param {Array} args Event arguments
+     * @returns {void}
+     */
+    relay(sender, event, to = -1, args = []) {
+      const broadcast = to == null || to === -1;
+      const payload = { sender, event, args };
+      if (room.timestamps) payload.time = Date.now();
+      room.emit('game:event', to, broadcast ? [sender] : null, payload);
+    },
+
+    /**
+     * Returns a copy of shared room state
+     *
+     * @returns {Object} Room state
+     */
+    getState() {
+      return room.getState();
+    },
+
+    /**
+     * Changes shared room state with host permissions
+     *
+     * @param {Object} patch Changed keys. Null values remove keys.
+     * @returns {Array<string>} Keys, that can't be written
+     */
+    patchState(patch) {
+      return room.patchState(0, patch);
+    },
+
+    /**
+     * Removes player from room
+     *
+     * @param {number} connectionId Player id
+     * @param {?string} reason Reason, that is shown to player
+     * @returns {boolean} True if player was kicked
+     */
+    kick(connectionId, reason) {
+      return room.kick(connectionId, reason);
+    },
+
+    /**
+     * Locks or unlocks room
+     *
+     * @param {boolean} locked New lock status
+     * @returns {void}
+     */
+    setLocked(locked) {
+      room.setLocked(locked);
+    },
+  });
+}
+
+/**
+ * Running instance of game module in one room.
+ * Errors, thrown by module hooks, are logged and never reach room.
+ *
+ * @class GameModule
+ */
+class GameModule {
+  /**
+   * Creates an instance of GameModule.
+   * @param {Room} room Room, where game is running
+   * @param {string} game Game name
+   * @param {Function} factory Module function, that returns hooks
+   * @memberof GameModule
+   */
+  constructor(room, game, factory) {
+    this.game = game;
+    this.hooks = factory(createGameRoomAPI(room)) || {};
+  }
+
+  /**
+   * Calls module hook, if module has it
+   *
+   * @param {string} hook Hook name
+   * @param {any} args Hook arguments
+   * @returns {any} Hook result or undefined, if hook has failed
+   * @memberof GameModule
+   */
+  call(hook, ...args) {
+    if (typeof this.hooks[hook] !== 'function') return undefined;
+    try {
+      return this.hooks[hook](...args);
+    } catch (err) {
+      console.error(`Game module '${this.game}' has failed in ${hook}: `, err);
+      return undefined;
+    }
+  }
+
+  /**
+   * Calls onStart hook and starts tick loop
+   *
+   * @param {?boolean} ownTicks Should module tick with it's own tick rate?
+   * @returns {void}
+   * @memberof GameModule
+   */
+  start(ownTicks = true) {
+    this.call('onStart');
+    const { tickRate } = this.hooks;
+    if (ownTicks && typeof this.hooks.onTick === 'function' && tickRate > 0) {
+      let lastTick = Date.now();
+      this.tickInterval = setInterval(() => {
+        const now = Date.now();
+        this.call('onTick', now - lastTick);
+        lastTick = now;
+      }, 1000 / tickRate);
+    }
+  }
+
+  /**
+   * Calls onTick hook with events, that were batched by room
+   *
+   * @param {number} delta Time since previous tick in ms
+   * @param {Array<Object>} inputs Batched events: { sender, event, args }
+   * @returns {any} Snapshot data, returned by module
+   * @memberof GameModule
+   */
+  tick(delta, inputs) {
+    return this.call('onTick', delta, inputs);
+  }
+
+  /**
+   * Checks game event with module
+   *
+   * @param {number} sender Sender connection ID
+   * @param {string} event Event name
+   * @param {Array} args Event arguments
+   * @returns {boolean} True if event should be relayed to it's target
+   * @memberof GameModule
+   */
+  handleEvent(sender, event, args) {
+    // Module without onEvent doesn't care about events, so they are relayed as usual
+    if (typeof this.hooks.onEvent !== 'function') return true;
+    return this.call('onEvent', sender, event, args) === true;
+  }
+
+  /**
+   * Stops tick loop and calls onDispose hook
+   *
+   * @returns {void}
+   * @memberof GameModule
+   */
+  dispose() {
+    clearInterval(this.tickInterval);
+    this.call('onDispose');
+  }
+}
+
+module.exports = {
+  GameModule,
+  SERVER_SENDER_ID,
+};
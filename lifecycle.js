@@ -0,0 +1,61 @@
+/**
+ * @file Lifecycle events of Networking instance. Host application subscribes to them
+ *       with networking.on(event, listener).
+ *
+ *       Notifications, that are emitted after something has happened:
+ *       'connection' { connection, session } - client has connected
+ *       'disconnect' { connection, session } - client has disconnected
+ *       'room:created' { room, roomName, session } - host has opened room
+ *       'room:joined' { room, roomName, connectionId, session, platform } - client has joined room
+ *       'room:left' { room, roomName, connectionId, session, platform } - client has left room
+ *       'room:disposed' { room, roomName } - room was closed
+ *
+ *       Actions, that are emitted before something happens. Listeners can change their
+ *       properties or call action.reject(reason), so it doesn't happen at all:
+ *       'room:create' { connection, session, roomName, options } - host opens room
+ *       'room:join' { connection, session, room, roomName, options } - client joins room
+ *       'game:set' { connection, room, roomName, game, schema, binary } - desktop sets game
+ *       'game:event' { connection, room, roomName, sender, event, to, args } - game event
+ *       is relayed. Emitted only if networking has gameEventHooks option,
+ *       because there are lots of game events.
+ */
+
+/**
+ * Action, that listeners can modify or veto
+ *
+ * @class NetworkingAction
+ */
+class NetworkingAction {
+  /**
+   * Creates an instance of NetworkingAction.
+   * @param {Object} properties Action properties. Listeners can change them.
+   * @memberof NetworkingAction
+   */
+  constructor(properties) {
+    Object.assign(this, properties);
+    this.rejection = null;
+  }
+
+  /**
+   * Vetoes action. First rejection wins.
+   *
+   * @param {?string} reason Localizable error message, that is sent to client
+   * @returns {void}
+   * @memberof NetworkingAction
+   */
+  reject(reason = 'error_action_rejected') {
+    if (this.rejection == null) this.rejection = String(reason);
+  }
+
+  /**
+   * Returns true if some listener has rejected action
+   *
+   * @readonly
+   * @memberof NetworkingAction
+   */
+  get isRejected() {
+    return this.rejection != null;
+  }
+}
+
+module.exports = NetworkingAction;
@@ -0,0 +1,202 @@
+/**
+ * @file Limits for incoming client events.
+ *       Each connection has it's own token buckets, so one client can't flood whole server.
+ */
+
+/**
+ * Actions, that are executed when client breaks limits
+ *
+ * @readonly
+ * @enum {String}
+ */
+const LIMIT_ACTION = {
+  // Ignore event
+  DROP: 'drop',
+  // Ignore event and show warning message box to client
+  WARN: 'warn',
+  // Ignore event and close client's socket
+  DISCONNECT: 'disconnect',
+};
+
+/**
+ * Default rate limits. Events without limit are never throttled.
+ * rate is number of events per second, burst is number of events that can be sent at once.
+ */
+const DEFAULT_LIMITS = {
+  'game:event': { rate: 60, burst: 120 },
+  'game:binary': { rate: 60, burst: 120 },
+  // Input updates are coalesced and can be lost anyway, so they are dropped silently
+  'input:update': { rate: 80, burst: 160, action: LIMIT_ACTION.DROP },
+  'room:open': { rate: 0.2, burst: 3 },
+  'room:join': { rate: 1, burst: 5 },
+  // Clock sync sends several pings at once and repeats them rarely
+  'clock:ping': { rate: 1, burst: 12 },
+};
+
+// Default maximal size of serialized event arguments in bytes
+const DEFAULT_MAX_PAYLOAD_SIZE = 64 * 1024;
+
+/**
+ * Token bucket. Fills with tokens at constant rate, each event takes one token.
+ *
+ * @class TokenBucket
+ */
+class TokenBucket {
+  /**
+   * Creates an instance of TokenBucket. Bucket is full initially.
+   * @param {number} rate Tokens added per second
+   * @param {number} burst Bucket capacity
+   * @memberof TokenBucket
+   */
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updated = Date.now();
+  }
+
+  /**
+   * Takes one token from bucket
+   *
+   * @returns {boolean} False if bucket is empty
+   * @memberof TokenBucket
+   */
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (((now - this.updated) / 1000) * this.rate));
+    this.updated = now;
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Checks events of one connection against rate and payload size limits
+ * and counts all checked events.
+ *
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * Creates an instance of RateLimiter.
+   * @param {Object} options Options
+   * @param {Object.<string, Object>} options.limits Limits for each event.
+   * Each limit has rate, burst and optional action properties.
+   * @param {number} options.maxPayloadSize Maximal size of serialized event arguments in bytes.
+   * 0 means no limit.
+   * @param {LIMIT_ACTION} options.action Default action, that is executed when limits are broken
+   * @param {?Object} stats Counters object, that is shared with other limiters
+   * @memberof RateLimiter
+   */
+  constructor(options, stats = RateLimiter.createStats()) {
+    this.limits = options.limits;
+    this.maxPayloadSize = options.maxPayloadSize;
+    this.action = options.action;
+    this.stats = stats;
+    // Own counters of this connection
+    this.ownStats = RateLimiter.createStats();
+    this.buckets = {};
+  }
+
+  /**
+   * Checks event and updates counters
+   *
+   * @param {string} event Event name
+   * @param {Array} args Event arguments
+   * @returns {?string} Localizable violation code or null if event is allowed
+   * @memberof RateLimiter
+   */
+  check(event, args) {
+    let violation = null;
+    if (this.maxPayloadSize > 0 && RateLimiter.getPayloadSize(args) > this.maxPayloadSize) {
+      violation = 'error_payload_size';
+    } else if (this.limits[event]) {
+      if (!this.buckets[event]) {
+        const { rate, burst } = this.limits[event];
+        this.buckets[event] = new TokenBucket(rate, burst);
+      }
+      if (!this.buckets[event].take()) violation = 'error_rate_limit';
+    }
+    [this.stats, this.ownStats].forEach(stats => RateLimiter.count(stats, event, violation));
+    return violation;
+  }
+
+  /**
+   * Counts client, that was disconnected because of violations
+   *
+   * @returns {void}
+   * @memberof RateLimiter
+   */
+  countDisconnect() {
+    [this.stats, this.ownStats].forEach((stats) => { stats.disconnected += 1; });
+  }
+
+  /**
+   * Returns action, that should be executed, when event breaks limits
+   *
+   * @param {string} event Event name
+   * @returns {LIMIT_ACTION} Action
+   * @memberof RateLimiter
+   */
+  getAction(event) {
+    return (this.limits[event] && this.limits[event].action) || this.action;
+  }
+
+  /**
+   * Creates empty counters object
+   *
+   * @static
+   * @returns {Object} Counters of allowed and dropped events, indexed by event name
+   * @memberof RateLimiter
+   */
+  static createStats() {
+    return {
+      allowed: {},
+      dropped: {},
+      violations: { error_rate_limit: 0, error_payload_size: 0 },
+      // Number of clients, that were disconnected because of violations
+      disconnected: 0,
+    };
+  }
+
+  /**
+   * Increments counters for checked event
+   *
+   * @static
+   * @param {Object} stats Counters object
+   * @param {string} event Event name
+   * @param {?string} violation Violation code
+   * @returns {void}
+   * @memberof RateLimiter
+   */
+  static count(stats, event, violation) {
+    const counters = violation ? stats.dropped : stats.allowed;
+    counters[event] = (counters[event] || 0) + 1;
+    if (violation) stats.violations[violation] += 1;
+  }
+
+  /**
+   * Calculates size of serialized event arguments
+   *
+   * @static
+   * @param {Array} args Event arguments
+   * @returns {number} Size in bytes
+   * @memberof RateLimiter
+   */
+  static getPayloadSize(args) {
+    try {
+      return Buffer.byteLength(JSON.stringify(args) || '');
+    } catch (err) {
+      // Arguments can't be serialized, so they can't be sent to anyone anyway
+      return Infinity;
+    }
+  }
+}
+
+module.exports = {
+  LIMIT_ACTION,
+  DEFAULT_LIMITS,
+  DEFAULT_MAX_PAYLOAD_SIZE,
+  RateLimiter,
+};
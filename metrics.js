@@ -0,0 +1,287 @@
+/**
+ * @file Metrics registry, that renders counters, gauges and histograms in Prometheus text format.
+ *       Each metric can have labels, that are passed as object: counter.inc({ code: 'error' }).
+ */
+
+/**
+ * Converts labels object to Prometheus label string
+ *
+ * @param {Object} labels Label values, indexed by label name
+ * @returns {string} Labels in a format of {name="value",...} or empty string
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels).sort();
+  if (names.length === 0) return '';
+  const pairs = names.map((name) => {
+    // Quotes, backslashes and line breaks should be escaped
+    const value = `${labels[name]}`
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n');
+    return `${name}="${value}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Base class of all metrics. Stores values for each label set.
+ *
+ * @class Metric
+ */
+class Metric {
+  /**
+   * Creates an instance of Metric.
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {string} type Prometheus metric type
+   * @memberof Metric
+   */
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    // Values, indexed by formatted labels
+    this.values = {};
+  }
+
+  /**
+   * Renders metric in Prometheus text format
+   *
+   * @returns {string} Metric lines
+   * @memberof Metric
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    Object.keys(this.values).forEach((labels) => {
+      lines.push(`${this.name}${labels} ${this.values[labels]}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Value, that can only grow
+ *
+ * @class Counter
+ * @extends {Metric}
+ */
+class Counter extends Metric {
+  /**
+   * Creates an instance of Counter.
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @memberof Counter
+   */
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  /**
+   * Increments counter
+   *
+   * @param {?Object} labels Label values
+   * @param {?number} value Increment. Must be positive.
+   * @returns {void}
+   * @memberof Counter
+   */
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.values[key] = (this.values[key] || 0) + value;
+  }
+}
+
+/**
+ * Value, that can go up and down.
+ * Gauge with collect function gets it's value only when metrics are rendered.
+ *
+ * @class Gauge
+ * @extends {Metric}
+ */
+class Gauge extends Metric {
+  /**
+   * Creates an instance of Gauge.
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {?Function} collect Function, that returns current value
+   * @memberof Gauge
+   */
+  constructor(name, help, collect) {
+    super(name, help, 'gauge');
+    this.collect = collect;
+  }
+
+  /**
+   * Sets gauge value
+   *
+   * @param {?Object} labels Label values
+   * @param {number} value New value
+   * @returns {void}
+   * @memberof Gauge
+   */
+  set(labels = {}, value) {
+    this.values[formatLabels(labels)] = value;
+  }
+
+  /**
+   * Renders metric in Prometheus text format
+   *
+   * @returns {string} Metric lines
+   * @memberof Gauge
+   */
+  render() {
+    if (this.collect) this.set({}, this.collect());
+    return super.render();
+  }
+}
+
+/**
+ * Counts observed values in buckets
+ *
+ * @class Histogram
+ * @extends {Metric}
+ */
+class Histogram extends Metric {
+  /**
+   * Creates an instance of Histogram.
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {Array<number>} buckets Upper bounds of buckets in ascending order
+   * @memberof Histogram
+   */
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  /**
+   * Adds value to histogram
+   *
+   * @param {?Object} labels Label values
+   * @param {number} value Observed value
+   * @returns {void}
+   * @memberof Histogram
+   */
+  observe(labels = {}, value) {
+    const key = formatLabels(labels);
+    if (!this.values[key]) {
+      this.values[key] = {
+        labels, counts: this.buckets.map(() => 0), sum: 0, count: 0,
+      };
+    }
+    const entry = this.values[key];
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  /**
+   * Renders metric in Prometheus text format
+   *
+   * @returns {string} Metric lines
+   * @memberof Histogram
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    Object.values(this.values).forEach(({
+      labels, counts, sum, count,
+    }) => {
+      this.buckets.forEach((bound, i) => {
+        const bucketLabels = formatLabels(Object.assign({}, labels, { le: bound }));
+        lines.push(`${this.name}_bucket${bucketLabels} ${counts[i]}`);
+      });
+      const infLabels = formatLabels(Object.assign({}, labels, { le: '+Inf' }));
+      lines.push(`${this.name}_bucket${infLabels} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Creates and renders all metrics of one process
+ *
+ * @class MetricsRegistry
+ */
+class MetricsRegistry {
+  /**
+   * Creates an instance of MetricsRegistry.
+   *
+   * @memberof MetricsRegistry
+   */
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Creates counter
+   *
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @returns {Counter} Registered counter
+   * @memberof MetricsRegistry
+   */
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  /**
+   * Creates gauge
+   *
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {?Function} collect Function, that returns current value
+   * @returns {Gauge} Registered gauge
+   * @memberof MetricsRegistry
+   */
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  /**
+   * Creates histogram
+   *
+   * @param {string} name Metric name
+   * @param {string} help Metric description
+   * @param {Array<number>} buckets Upper bounds of buckets in ascending order
+   * @returns {Histogram} Registered histogram
+   * @memberof MetricsRegistry
+   */
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Adds metric to registry
+   *
+   * @param {Metric} metric Created metric
+   * @returns {Metric} Same metric
+   * @memberof MetricsRegistry
+   */
+  register(metric) {
+    if (this.metrics.some(x => x.name === metric.name)) {
+      throw new Error(`Metric '${metric.name}' is registered already`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Renders all metrics in Prometheus text format
+   *
+   * @returns {string} Metrics text
+   * @memberof MetricsRegistry
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+};
@@ -1,8 +1,61 @@
+const crypto = require('crypto');
+const http = require('http');
+const url = require('url');
+const EventEmitter = require('events');
 const SocketIO = require('socket.io');
 const debug = require('debug')('networking');
-const { MESSAGE_TYPE, PLATFORM, ROOM_SETTINGS } = require('./enums.js');
+const {
+  MESSAGE_TYPE, PLATFORM, ROOM_SETTINGS, STATE_PERMISSION, PROFILE_SETTINGS, INPUT_SETTINGS,
+  CONNECTION_SETTINGS, QUALITY_SETTINGS,
+} = require('./enums.js');
+const MemoryAdapter = require('./adapters/memory');
+const MultiProcessAdapter = require('./adapters/multiprocess');
+const Broker = require('./adapters/broker');
+const {
+  LIMIT_ACTION, DEFAULT_LIMITS, DEFAULT_MAX_PAYLOAD_SIZE, RateLimiter,
+} = require('./limiter');
+const { normalizeSchema, validateGameEvent } = require('./schema');
+const { AuthError, TokenAuthProvider } = require('./auth');
+const { validateProfile, resolveName, pickColor } = require('./profile');
+const { MetricsRegistry } = require('./metrics');
+const RoomRecorder = require('./recorder');
+const { GameModule, SERVER_SENDER_ID } = require('./game');
+const { createEventTable, encodeGameEvent, decodeGameEvent } = require('./codec');
+const { AlphabeticRoomCodes, NumericRoomCodes } = require('./roomcode');
+const NetworkingAction = require('./lifecycle');
+const ConnectionQuality = require('./quality');
 
-const rooms = {};
+/**
+ * Returns player limit, if it's valid, or default value otherwise
+ *
+ * @param {any} value Limit received from client
+ * @param {number} fallback Default limit
+ * @returns {number} Non-negative integer limit
+ */
+function validLimit(value, fallback) {
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Room error codes, that server itself can throw. Other codes come from lifecycle listeners.
+const ROOM_ERROR_CODES = new Set([
+  'error_room_name', 'error_room_exists', 'error_room_not_exists', 'error_room_unavailable',
+  'error_room_wrong_password',
+  'error_room_banned', 'error_room_locked', 'error_room_full', 'error_auth_required',
+  'error_profile_invalid', 'error_profile_name', 'error_profile_color', 'error_profile_avatar',
+  'error_action_rejected', 'error_action_failed',
+]);
+
+/**
+ * Returns error code, that can be used as a metric label.
+ * Reasons from lifecycle listeners can be anything,
+ * so they would create unbounded number of series.
+ *
+ * @param {string} code Room error code
+ * @returns {string} Known error code or 'rejected'
+ */
+function roomErrorLabel(code) {
+  return ROOM_ERROR_CODES.has(code) ? code : 'rejected';
+}
 
 /**
  * A class that is used to handle errors, that can happen in room joining / opening
@@ -29,36 +82,308 @@ class RoomError extends Error {
  */
 class Room {
   /**
-   * Creates an instance of Room and pushes it to global list
+   * Creates an instance of Room and adds it to room registry
    *
    * @param {Connection} hostPlayer
    * @param {string} roomName Room name
    * @param {?string} password Optional room password
+   * @param {?Object} options Room options. Defaults are taken from ROOM_SETTINGS.
+   * @param {?number} options.maxPlayers Maximal number of controllers. 0 means no limit.
+   * @param {?number} options.minPlayers Minimal number of controllers, that game needs
+   * @param {?boolean} options.lockOnGameStart Lock room, when game is set
+   * @param {?boolean} options.requireAuth Accept only players, that have logged in
+   * @param {?number} options.tickRate Simulation ticks per second. When it's set, broadcasted
+   * game events are batched and sent to everyone in numbered snapshots once per tick.
+   * @param {?boolean} options.timestamps Add server receive time to game events,
+   * so games can order them fairly
+   * @param {?number} options.maxIdleTime Room is closed, if nobody sends game events
+   * for this time, in ms. It can't be longer than networking's maxIdleTime, if it's set.
    * @throws {RoomError} Can throw errors if user can't create room with these arguments.
    * Error message is localizable string, that can be sent to client
    * @memberof Room
    */
-  constructor(hostConnection, roomName, password) {
-    // Make sure that this room name is unique
-    if (roomName in rooms) {
+  constructor(hostConnection, roomName, password, options = {}) {
+    // Networking instance, that owns this room
+    this.networking = hostConnection.networking;
+    const { adapter } = this.networking;
+
+    // Make sure that this room name is unique. Name is reserved in registry before room is
+    // created, so only rooms of this process are checked here.
+    if (adapter.getRoom(roomName)) {
       // Room with this name is already exists
       throw new RoomError('error_room_exists');
     }
 
-    // Add class reference to global index, so room with same name won't be created again
-    rooms[roomName] = this;
-
-    console.log(`Opened new room: ${roomName}, by 0 client - session: ${hostConnection.session}`);
-
     // Store room information
     this.name = roomName;
     this.password = password;
+    this.maxPlayers = validLimit(options.maxPlayers, ROOM_SETTINGS.MAX_PLAYERS);
+    this.minPlayers = validLimit(options.minPlayers, ROOM_SETTINGS.MIN_PLAYERS);
+    this.lockOnGameStart = options.lockOnGameStart != null ?
+      !!options.lockOnGameStart :
+      ROOM_SETTINGS.LOCK_ON_GAME_START;
+    // Locked room doesn't accept new players
+    this.locked = false;
+    this.requireAuth = options.requireAuth != null ?
+      !!options.requireAuth :
+      ROOM_SETTINGS.REQUIRE_AUTH;
+    this.tickRate = Math.min(
+      validLimit(options.tickRate, ROOM_SETTINGS.TICK_RATE),
+      ROOM_SETTINGS.TICK_RATE_MAX,
+    );
+    this.timestamps = options.timestamps != null ?
+      !!options.timestamps :
+      ROOM_SETTINGS.TIMESTAMPS;
+    // Host can close idle room sooner, but can't keep it forever
+    const serverIdleTime = this.networking.maxIdleTime;
+    this.maxIdleTime = validLimit(options.maxIdleTime, serverIdleTime);
+    if (serverIdleTime > 0 && (this.maxIdleTime === 0 || this.maxIdleTime > serverIdleTime)) {
+      this.maxIdleTime = serverIdleTime;
+    }
+
+    // Add class reference to registry, so room with same name won't be created again
+    adapter.addRoom(this);
+
+    console.log(`Opened new room: ${roomName}, by 0 client - session: ${hostConnection.session}`);
 
     // Store room host connection
     this.hostConnection = hostConnection;
+    // Host session is used to give room back to host, if it reconnects
+    this.hostSession = hostConnection.session;
 
     // Array for connected clients
     this.clientConnections = [];
+    // Slots of recently disconnected clients, indexed by session
+    this.reservedSlots = {};
+    // Sessions, that host has banned from this room
+    this.bannedSessions = new Set();
+    // Player profiles, indexed by connection id. Reserved slots keep their profiles.
+    this.profiles = {};
+
+    // Audience members, indexed by their ids. Audience ids are negative numbers, starting from -2,
+    // so they never collide with player ids.
+    this.audienceConnections = {};
+    this.audienceCounter = 1;
+    // Game events, that audience members are allowed to send
+    this.audienceEvents = [];
+    // Binary game events are enabled by game:set. Event table maps event ids to names.
+    this.binary = false;
+    this.eventTable = null;
+
+    // Shared key/value state, that is synchronized with all connections.
+    // Keys are sent by clients, so objects have no prototype and keys like 'constructor' are free.
+    this.state = Object.create(null);
+    // Write permission and owner of each state key
+    this.stateMeta = Object.create(null);
+
+    // Room traffic is written to a file only if networking has recording enabled
+    const { recordDirectory } = this.networking;
+    this.recorder = recordDirectory ? new RoomRecorder(recordDirectory, roomName) : null;
+    this.record('open', { room: roomName, session: this.hostSession, limits: this.getLimits() });
+
+    // Broadcasted game events, that will be sent with next snapshot
+    this.tickInputs = [];
+    this.tick = 0;
+    this.tickStats = { ticks: 0, late: 0, maxLateness: 0 };
+    if (this.tickRate > 0) this.startTicking();
+
+    // Newest controller input values, that weren't sent to host yet, indexed by connection id
+    this.pendingInputs = {};
+
+    // Host, that has frozen without disconnect, would keep room name forever,
+    // so room is closed after long time without game events
+    this.lastActivity = Date.now();
+    this.idleWarned = false;
+    if (this.maxIdleTime > 0) this.checkIdle();
+
+    // Host gets connection quality of all players periodically
+    const { qualityReportInterval } = this.networking;
+    if (qualityReportInterval > 0) {
+      this.qualityInterval = setInterval(() => this.reportQuality(), qualityReportInterval);
+    }
+  }
+
+  /**
+   * Marks room as active, so it isn't closed as idle
+   *
+   * @returns {void}
+   * @memberof Room
+   */
+  touch() {
+    this.lastActivity = Date.now();
+    this.idleWarned = false;
+  }
+
+  /**
+   * Warns everyone in room, that has been idle for long time, and closes it after warning time.
+   * Checks are scheduled only for moments, when something can happen,
+   * so touch doesn't have to reset timers on each game event.
+   *
+   * @returns {void}
+   * @memberof Room
+   */
+  checkIdle() {
+    const timeLeft = this.maxIdleTime - (Date.now() - this.lastActivity);
+    if (timeLeft <= 0) {
+      console.log(`Room '${this.name}' is closed, because it was idle`);
+      this.dispose({ error: 'error_room_idle' });
+      return;
+    }
+
+    const { idleWarningTime } = this.networking;
+    if (timeLeft <= idleWarningTime && !this.idleWarned) {
+      this.idleWarned = true;
+      this.emit('system:msgbox', -1, null, {
+        type: MESSAGE_TYPE.WARNING,
+        text: 'warning_room_idle',
+      });
+    }
+    // Wake up, when warning should be sent, or when room should be closed
+    const delay = timeLeft > idleWarningTime ? timeLeft - idleWarningTime : timeLeft;
+    this.idleTimeout = setTimeout(() => this.checkIdle(), delay);
+  }
+
+  /**
+   * Sends connection quality of players to host.
+   * Players, that have never answered heartbeat, have old clients, so their quality is unknown.
+   *
+   * @returns {void}
+   * @memberof Room
+   */
+  reportQuality() {
+    if (!this.hostConnection) return;
+    const now = Date.now();
+    const report = {};
+    this.clientConnections
+      .filter(client => client != null && client.heartbeatAnswered)
+      .forEach((client) => {
+        const summary = client.quality.getSummary(now);
+        if (summary) report[client.connectionId] = summary;
+      });
+    if (Object.keys(report).length > 0) this.emit('connections:quality', 0, null, report);
+  }
+
+  /**
+   * Starts simulation tick loop. Ticks are scheduled on fixed timeline,
+   * so one late tick doesn't shift all following ticks.
+   *
+   * @returns {void}
+   * @memberof Room
+   */
+  startTicking() {
+    const period = 1000 / this.tickRate;
+    let lastTick = Date.now();
+    let nextTick = lastTick + period;
+    const loop = () => {
+      const now = Date.now();
+      const lateness = now - nextTick;
+      // Tick is late, if timer has fired later than half of period
+      if (lateness > period / 2) {
+        this.tickStats.late += 1;
+        this.networking.meters.lateTicks.inc();
+      }
+      this.tickStats.maxLateness = Math.max(this.tickStats.maxLateness, lateness);
+
+      this.runTick(now - lastTick);
+      lastTick = now;
+      nextTick += period;
+      // Don't try to catch up ticks, that are missed completely
+      if (nextTick < now) nextTick = now + period;
+      this.tickTimeout = setTimeout(loop, Math.max(0, nextTick - Date.now()));
+    };
+    this.tickTimeout = setTimeout(loop, period);
+  }
+
+  /**
+   * Executes one simulation tick: passes batched inputs to game module
+   * and broadcasts snapshot to everyone.
+   *
+   * @param {number} delta Time since previous tick in ms
+   * @returns {void}
+   * @memberof Room
+   */
+  runTick(delta) {
+    this.tick += 1;
+    this.tickStats.ticks += 1;
+    this.networking.meters.ticks.inc();
+    const inputs = this.tickInputs;
+    this.tickInputs = [];
+    // Game module can add it's own data to snapshot
+    const data = this.gameModule ? this.gameModule.tick(delta, inputs) : undefined;
+    this.emit('game:snapshot', -1, null, {
+      tick: this.tick,
+      time: Date.now(),
+      inputs,
+      data,
+    });
+  }
+
+  /**
+   * Adds broadcasted game event to next snapshot
+   *
+   * @param {Object} payload Event payload: { sender, event, args }
+   * @returns {void}
+   * @memberof Room
+   */
+  queueInput(payload) {
+    this.tickInputs.push(payload);
+  }
+
+  /**
+   * Stores newest input values of controller. Values are sent to host once per send interval,
+   * so values of same channel, that are received during interval, are coalesced.
+   *
+   * @param {number} connectionId Controller connection ID
+   * @param {Object} values Input values, indexed by channel name
+   * @returns {void}
+   * @memberof Room
+   */
+  updateInput(connectionId, values) {
+    this.touch();
+    const pending = this.pendingInputs[connectionId] || {};
+    Object.keys(values).forEach((channel) => {
+      if (channel.length > INPUT_SETTINGS.CHANNEL_LENGTH_MAX) return;
+      const isNew = !Object.prototype.hasOwnProperty.call(pending, channel);
+      if (isNew && Object.keys(pending).length >= INPUT_SETTINGS.CHANNELS_MAX) return;
+      pending[channel] = values[channel];
+    });
+    this.pendingInputs[connectionId] = pending;
+
+    if (this.inputTimeout) return;
+    this.inputTimeout = setTimeout(() => {
+      this.inputTimeout = undefined;
+      this.flushInputs();
+    }, INPUT_SETTINGS.SEND_INTERVAL);
+  }
+
+  /**
+   * Sends pending input values of all controllers to host with one volatile event.
+   * Volatile event is dropped, if host can't receive it right now, because newer values
+   * are more important, than delivery of old ones.
+   *
+   * @returns {void}
+   * @memberof Room
+   */
+  flushInputs() {
+    const inputs = this.pendingInputs;
+    this.pendingInputs = {};
+    if (Object.keys(inputs).length === 0 || !this.hostConnection) return;
+    this.record('emit', {
+      event: 'input:update', to: 0, except: null, args: [inputs],
+    });
+    this.hostConnection.socket.volatile.emit('input:update', inputs);
+  }
+
+  /**
+   * Writes record to room recording, if recording is enabled
+   *
+   * @param {string} type Record type. See 'recorder.js' for details.
+   * @param {?Object} data Record properties
+   * @returns {void}
+   * @memberof Room
+   */
+  record(type, data) {
+    if (this.recorder) this.recorder.record(type, data);
   }
 
   /**
@@ -66,20 +391,86 @@ class Room {
    *
    * @param {Connection} client Connected client connection
    * @param {?string} password Optional room password
+   * @param {?Object} profile Requested player profile. See 'profile.js' for format.
+   * Returning players keep their old profile.
    * @throws {RoomError} Can throw errors if user is not authorized to join this room.
    * Error message is localizable string, that can be sent to client
    * @returns {number} Received player id
    * @memberof Room
    */
-  join(client, password) {
+  join(client, password, profile) {
+    // Connection could find room, that was closed while it was joining
+    if (this.disposed) {
+      throw new RoomError('error_room_not_exists');
+    }
+
+    // Host can't be locked out of it's own room
+    if (client.session === this.hostSession) {
+      this.restoreHost(client);
+      return 0;
+    }
+
     // Room has a password and it's different form password that user sent
     if (this.password != null && this.password !== password) {
       throw new RoomError('error_room_wrong_password');
     }
+
+    if (this.bannedSessions.has(client.session)) {
+      throw new RoomError('error_room_banned');
+    }
+
+    // Same session is still connected, probably through a half-open socket.
+    // Drop old connection, so new one can take it's slot.
+    const previous = this.clientConnections.find(x => x != null && x.session === client.session);
+    if (previous) previous.leaveRoom(false);
+
+    // Client has reconnected in grace window, so give it's slot back
+    const reserved = this.reservedSlots[client.session];
+    if (reserved) {
+      clearTimeout(reserved.timeout);
+      delete this.reservedSlots[client.session];
+      this.clientConnections[reserved.connectionId - 1] = client;
+      // Id is assigned before notifying, so client is excepted from it's own event
+      client.connectionId = reserved.connectionId;
+      // Notify all other clients, that player is back
+      this.emit(
+        'connections:rejoin', -1, reserved.connectionId,
+        reserved.connectionId, client.session, this.profiles[reserved.connectionId],
+      );
+      if (this.gameModule) {
+        this.gameModule.call('onJoin', reserved.connectionId, this.profiles[reserved.connectionId], true);
+      }
+
+      console.log(`Client (id: ${reserved.connectionId}, session: ${client.session}) has rejoined room '${this.name}'`);
+
+      return reserved.connectionId;
+    }
+
+    // Returning players have logged in already, when they have joined first time
+    if (this.requireAuth && !client.user) {
+      throw new RoomError('error_auth_required');
+    }
+
+    // Only returning players can join locked or full room
+    if (this.locked) {
+      throw new RoomError('error_room_locked');
+    }
+    if (this.maxPlayers > 0 && this.getPlayerCount() >= this.maxPlayers) {
+      throw new RoomError('error_room_full');
+    }
+
+    const profileError = validateProfile(profile);
+    if (profileError) {
+      throw new RoomError(profileError);
+    }
+
     // Store connection reference
     const id = this.clientConnections.push(client);
-    // Send new player's session to all other clients
-    this.emit('connections:join', -1, id, id, client.session);
+    client.connectionId = id;
+    this.profiles[id] = this.createProfile(id, profile, client.user);
+    // Send new player's session and profile to all other clients
+    this.emit('connections:join', -1, id, id, client.session, this.profiles[id]);
+    if (this.gameModule) this.gameModule.call('onJoin', id, this.profiles[id], false);
 
     console.log(`Client (id: ${id}, session: ${client.session}) has joined room '${this.name}'`);
 
@@ -87,37 +478,324 @@ class Room {
   }
 
   /**
-   * Look ups for all connections and give it's sessions
+   * Creates player profile from requested one and makes sure,
+   * that it's name and color are not used by other players.
+   * Profile should be validated first.
+   *
+   * @param {number} connectionId Player id
+   * @param {?Object} requested Requested profile changes
+   * @param {?Object} user Logged in user. It's profile name is used, if player hasn't chosen one.
+   * @returns {Object} Profile with name, color and avatar properties
+   * @memberof Room
+   */
+  createProfile(connectionId, requested, user) {
+    const current = this.profiles[connectionId] || {};
+    const changes = requested || {};
+    const others = Object.keys(this.profiles)
+      .filter(id => +id !== connectionId)
+      .map(id => this.profiles[id]);
+
+    const userName = user && user.profile && typeof user.profile.name === 'string' ?
+      user.profile.name.substr(0, PROFILE_SETTINGS.NAME_LENGTH_MAX) :
+      null;
+    const name = (changes.name && changes.name.trim()) ||
+      current.name || userName || `Player ${connectionId}`;
+    const avatar = changes.avatar !== undefined ? changes.avatar : current.avatar;
+    return {
+      name: resolveName(name, others.map(x => x.name)),
+      color: pickColor(changes.color || current.color, others.map(x => x.color)),
+      avatar: avatar || null,
+    };
+  }
+
+  /**
+   * Changes player profile and notifies everyone in room about it
+   *
+   * @param {number} connectionId Player id
+   * @param {Object} changes Changed profile properties
+   * @returns {?string} Localizable error message or null if profile was updated
+   * @memberof Room
+   */
+  updateProfile(connectionId, changes) {
+    if (!this.profiles[connectionId]) return 'error_profile_invalid';
+    const error = validateProfile(changes);
+    if (error) return error;
+
+    this.profiles[connectionId] = this.createProfile(connectionId, changes);
+    // Sender gets this event too, because name could be changed to make it unique
+    this.emit('connections:profile', -1, null, connectionId, this.profiles[connectionId]);
+    return null;
+  }
+
+  /**
+   * Counts players in room. Reserved slots are counted too, because their owners can return.
    *
-   * @returns {Object.<number, string>} a dictionary of connection id's and sessions
+   * @returns {number} Number of controllers
+   * @memberof Room
+   */
+  getPlayerCount() {
+    const connected = this.clientConnections.filter(x => x != null).length;
+    return connected + Object.keys(this.reservedSlots).length;
+  }
+
+  /**
+   * Returns room limits and lock status
+   *
+   * @returns {Object} Contains maxPlayers, minPlayers, lockOnGameStart and locked properties
+   * @memberof Room
+   */
+  getLimits() {
+    return {
+      maxPlayers: this.maxPlayers,
+      minPlayers: this.minPlayers,
+      lockOnGameStart: this.lockOnGameStart,
+      locked: this.locked,
+    };
+  }
+
+  /**
+   * Locks or unlocks room and notifies all connections about it.
+   * Locked room doesn't accept new players, but disconnected players can still rejoin it.
+   *
+   * @param {boolean} locked New lock status
+   * @return {void}
+   * @memberof Room
+   */
+  setLocked(locked) {
+    if (this.locked === locked) return;
+    this.locked = locked;
+    this.emit('room:limits', -1, null, this.getLimits());
+  }
+
+  /**
+   * Add audience member to room.
+   * Audience members don't take player slots and can send only whitelisted game events.
+   *
+   * @param {Connection} client Connected client connection
+   * @param {?string} password Optional room password
+   * @throws {RoomError} Can throw errors if user is not authorized to join this room.
+   * Error message is localizable string, that can be sent to client
+   * @returns {number} Received audience id
+   * @memberof Room
+   */
+  joinAudience(client, password) {
+    if (this.disposed) {
+      throw new RoomError('error_room_not_exists');
+    }
+    // Room has a password and it's different form password that user sent
+    if (this.password != null && this.password !== password) {
+      throw new RoomError('error_room_wrong_password');
+    }
+    if (this.bannedSessions.has(client.session)) {
+      throw new RoomError('error_room_banned');
+    }
+
+    this.audienceCounter += 1;
+    const id = -this.audienceCounter;
+    this.audienceConnections[id] = client;
+    client.connectionId = id;
+    this.scheduleAudienceCount();
+
+    console.log(`Audience member (id: ${id}, session: ${client.session}) has joined room '${this.name}'`);
+
+    return id;
+  }
+
+  /**
+   * Sends audience count to host.
+   * Count is sent once per interval, so host isn't spammed by each audience member.
+   *
+   * @return {void}
+   * @memberof Room
+   */
+  scheduleAudienceCount() {
+    if (this.audienceTimeout) return;
+    this.audienceTimeout = setTimeout(() => {
+      this.audienceTimeout = undefined;
+      this.emit('audience:count', 0, null, this.getAudienceCount());
+    }, this.networking.audienceCountInterval);
+  }
+
+  /**
+   * Returns number of audience members in room
+   *
+   * @returns {number} Audience count
+   * @memberof Room
+   */
+  getAudienceCount() {
+    return Object.keys(this.audienceConnections).length;
+  }
+
+  /**
+   * Sets game events, that audience members are allowed to send
+   *
+   * @param {Array<string>} events Event names
+   * @return {void}
+   * @memberof Room
+   */
+  setAudienceEvents(events) {
+    this.audienceEvents = events.filter(event => typeof event === 'string');
+  }
+
+  /**
+   * Removes client from room by host's decision and notifies all other connections about it.
+   * Banned client can't join this room again.
+   *
+   * @param {number} connectionId Kicked connection ID. Host can't be kicked.
+   * @param {?string} reason Optional reason, that is sent to kicked client
+   * @param {?boolean} ban Should client be banned?
+   * @return {boolean} True if client was kicked
+   * @memberof Room
+   */
+  kick(connectionId, reason, ban = false) {
+    if (typeof connectionId !== 'number' || connectionId === 0 || connectionId === -1) return false;
+
+    const client = this.getClientById(connectionId);
+    // Disconnected player can be kicked too, while it's slot is reserved
+    const session = client ?
+      client.session :
+      Object.keys(this.reservedSlots)
+        .find(key => this.reservedSlots[key].connectionId === connectionId);
+    if (session == null) return false;
+
+    if (ban) this.bannedSessions.add(session);
+    this.emit('connections:kicked', -1, connectionId, connectionId, reason, ban);
+
+    if (client) {
+      client.leaveRoom(true, { kicked: true, banned: ban, reason });
+    } else {
+      this.releaseSlot(session);
+    }
+
+    console.log(`Client (id: ${connectionId}, session: ${session}) was ${ban ? 'banned' : 'kicked'} from room '${this.name}'`);
+
+    return true;
+  }
+
+  /**
+   * Gives room back to reconnected host and notifies all clients about it
+   *
+   * @param {Connection} host Reconnected host connection
+   * @return {void}
+   * @memberof Room
+   */
+  restoreHost(host) {
+    // Same session is still connected as host, probably through a half-open socket.
+    // Old connection is detached directly, because removing host would close the room.
+    const previous = this.hostConnection;
+    if (previous) {
+      previous.detachRoom();
+      if (previous.socket) previous.socket.emit('room:status', { error: 'error_host_replaced' });
+    }
+
+    clearTimeout(this.hostTimeout);
+    this.hostTimeout = undefined;
+    this.hostConnection = host;
+    host.connectionId = 0;
+    this.emit('room:host-restored', -1, 0);
+
+    console.log(`Host (session: ${host.session}) has returned to room '${this.name}'`);
+  }
+
+  /**
+   * Keeps room opened for host grace window after host disconnect.
+   * Room is disposed, if host doesn't return in time.
+   *
+   * @return {void}
+   * @memberof Room
+   */
+  loseHost() {
+    this.hostConnection = undefined;
+    this.hostTimeout = setTimeout(() => this.dispose(), this.networking.hostGraceTime);
+    this.emit('room:host-lost');
+
+    console.log(`Host has lost connection to room '${this.name}'`);
+  }
+
+  /**
+   * Look ups for all connections and give it's sessions and profiles
+   *
+   * @returns {Object.<number, Object>} a dictionary of connection id's and { session, profile }
    * @memberof Room
    */
   getClientConnections() {
     return this.clientConnections
       .filter(x => x != null) // Don't care about removed connections
       .reduce((acc, connection) => {
-        // Send values in a format of id: session
-        acc[connection.id] = connection.session;
+        // Send values in a format of id: { session, profile }
+        acc[connection.connectionId] = {
+          session: connection.session,
+          profile: this.profiles[connection.connectionId],
+        };
         return acc;
       }, {});
   }
 
   /**
-   * Removes connection from connection list
+   * Removes connection from connection list.
+   * If removed connection is host, room is closed or waits for host to return.
    *
    * @param {Connection} connectionId Connection ID
+   * @param {?boolean} reserve Should we keep client's slot for a session grace window?
    * @return {void}
    * @memberof Room
    */
-  removeConnection(connectionId) {
-    this.clientConnections[connectionId] = undefined;
+  removeConnection(connectionId, reserve = false) {
+    // Audience members can't reserve slots and only change audience count
+    if (connectionId < -1) {
+      delete this.audienceConnections[connectionId];
+      this.scheduleAudienceCount();
+      return;
+    }
 
-    // If disconnected client is not host,
-    // otherwise they will notice it just by disconnecting from room
-    if (connectionId !== 0) {
-      // Send event to all remaining players
-      this.emit('connections:disconnect', -1, null, connectionId);
+    // If disconnected client is host, clients will notice it just by disconnecting from room
+    if (connectionId === 0) {
+      if (reserve && this.networking.hostGraceTime > 0) {
+        this.loseHost();
+      } else {
+        this.dispose();
+      }
+      return;
+    }
+
+    const client = this.getClientById(connectionId);
+    this.clientConnections[connectionId - 1] = undefined;
+    // Host doesn't need inputs of player, that has left
+    delete this.pendingInputs[connectionId];
+
+    const { sessionGraceTime } = this.networking;
+    if (reserve && client && sessionGraceTime > 0) {
+      // Keep slot, so client can get same id back, if it reconnects in time
+      this.reservedSlots[client.session] = {
+        connectionId,
+        timeout: setTimeout(() => this.releaseSlot(client.session), sessionGraceTime),
+      };
+      return;
     }
+
+    delete this.profiles[connectionId];
+    // Send event to all remaining players
+    this.emit('connections:disconnect', -1, null, connectionId);
+    if (this.gameModule) this.gameModule.call('onLeave', connectionId);
+  }
+
+  /**
+   * Frees slot reserved for disconnected session and notifies room about disconnect
+   *
+   * @param {string} session Disconnected client session
+   * @return {void}
+   * @memberof Room
+   */
+  releaseSlot(session) {
+    const reserved = this.reservedSlots[session];
+    if (!reserved) return;
+
+    clearTimeout(reserved.timeout);
+    delete this.reservedSlots[session];
+    delete this.profiles[reserved.connectionId];
+    // Client hasn't returned, so send event to all remaining players
+    this.emit('connections:disconnect', -1, null, reserved.connectionId);
+    if (this.gameModule) this.gameModule.call('onLeave', reserved.connectionId);
   }
 
   /**
@@ -129,7 +807,8 @@ class Room {
    */
   getClientById(id) {
     if (id === 0) return this.hostConnection;
-    return this.clientConnections[id + 1];
+    if (id < -1) return this.audienceConnections[id];
+    return this.clientConnections[id - 1];
   }
 
   /**
@@ -141,71 +820,228 @@ class Room {
    * @param {?Number|Array<Number>} exceptId Excepted Connection ID.
    * Impacts only when event is emitted for everyone (connectionId is not defined or -1)
    * @param {any} args Message arguments
+   * @returns {number} Number of clients, that have received event
    * @memberof Room
    */
   emit(event, connectionId = -1, exceptId, ...args) {
+    this.record('emit', {
+      event, to: connectionId, except: exceptId, args,
+    });
+    let recipients = 0;
+    const send = (client) => {
+      client.socket.emit(event, ...args);
+      recipients += 1;
+    };
     if (typeof connectionId === 'number' && connectionId !== -1) { // Emit event to one certain client
       const client = this.getClientById(connectionId);
       // Don't emit event if client with this id is not found
-      if (client) client.socket.emit(event, ...args);
+      if (client) send(client);
     } else if (Array.isArray(connectionId)) { // Emit event to a list of clients
       // Iterate over array and execute same code as above
       connectionId.forEach((id) => {
         const client = this.getClientById(id);
         // Don't emit event if client with this id is not found
-        if (client) client.socket.emit(event, ...args);
+        if (client) send(client);
       });
     } else if (connectionId == null || connectionId === -1) { // Emit event to everyone
       // Store some variables to get them only once, instead of on each iteration
-      const exceptType = typeof except;
+      const exceptType = typeof exceptId;
       const exceptIsArray = Array.isArray(exceptId);
       // This function checks a connection and emits event for it, if it's not excluded
       const checkConnection = (client) => {
         if (exceptIsArray) {
           // If except is array we must make sure that current client is not included in this array
           if (!exceptId.includes(client.connectionId)) {
-            client.socket.emit(event, ...args);
+            send(client);
           }
         } else if (exceptId == null || exceptId === -1) {
           // except is not defined, emit event anyway
-          client.socket.emit(event, ...args);
-        } else if (exceptType === 'number' && exceptId !== client.socket.connectionId) {
+          send(client);
+        } else if (exceptType === 'number' && exceptId !== client.connectionId) {
           // Except is connectionId. Just make sure that it not equals to client's id
-          client.socket.emit(event, ...args);
+          send(client);
         }
       };
       // Iterate over all connected clients
       this.clientConnections.filter(x => x != null).forEach(checkConnection);
-      // clientConnections not contains host, so call checkConnection for it separately
-      checkConnection(this.hostConnection);
+      Object.values(this.audienceConnections).forEach(checkConnection);
+      // clientConnections not contains host, so call checkConnection for it separately.
+      // Host can be missing, while room waits for it to reconnect.
+      if (this.hostConnection) checkConnection(this.hostConnection);
     } else {
       throw new Error('Bad arguments');
     }
+    return recipients;
   }
 
   /**
-   * Set's current game and notifies all connections about it
+   * Returns a copy of shared room state
+   *
+   * @returns {Object} Room state
+   * @memberof Room
+   */
+  getState() {
+    return Object.assign({}, this.state);
+  }
+
+  /**
+   * Checks if connection is allowed to write state key
+   *
+   * @param {number} connectionId Writer connection ID
+   * @param {string} key State key
+   * @param {?STATE_PERMISSION} permission Permission requested for new key
+   * @returns {boolean} True if key can be written
+   * @memberof Room
+   */
+  canWriteState(connectionId, key, permission) {
+    const meta = this.stateMeta[key];
+    // Only host can create host keys, anyone can create other keys
+    if (!meta) return permission !== STATE_PERMISSION.HOST || connectionId === 0;
+    switch (meta.permission) {
+      case STATE_PERMISSION.HOST:
+        return connectionId === 0;
+      case STATE_PERMISSION.OWNER:
+        return connectionId === meta.owner;
+      case STATE_PERMISSION.ANYONE:
+        return true;
+    }
+    return false;
+  }
+
+  /**
+   * Applies a patch to room state and sends a diff to all connections.
+   * Keys with null values are removed from state.
+   *
+   * @param {number} connectionId Writer connection ID
+   * @param {Object} patch Changed keys and their values
+   * @param {?Object.<string, STATE_PERMISSION>} permissions Permissions for created keys.
+   * By default host creates host keys and other connections create owner keys.
+   * @returns {Array<string>} Keys, that connection is not allowed to write
+   * @memberof Room
+   */
+  patchState(connectionId, patch, permissions = {}) {
+    const diff = Object.create(null);
+    const rejected = [];
+    const validPermissions = Object.values(STATE_PERMISSION);
+    const defaultPermission = connectionId === 0 ? STATE_PERMISSION.HOST : STATE_PERMISSION.OWNER;
+
+    Object.keys(patch).forEach((key) => {
+      // Fall back to default permission, if requested one is not valid
+      const permission = validPermissions.includes(permissions[key]) ?
+        permissions[key] :
+        defaultPermission;
+      if (!this.canWriteState(connectionId, key, permission)) {
+        rejected.push(key);
+        return;
+      }
+
+      const value = patch[key];
+      if (value == null) {
+        // Removed key can be created again by anyone
+        delete this.state[key];
+        delete this.stateMeta[key];
+        diff[key] = null;
+      } else {
+        this.state[key] = value;
+        if (!this.stateMeta[key]) {
+          this.stateMeta[key] = { permission, owner: connectionId };
+        }
+        diff[key] = value;
+      }
+    });
+
+    // Send only changed keys
+    if (Object.keys(diff).length > 0) this.emit('state:diff', -1, null, diff);
+
+    return rejected;
+  }
+
+  /**
+   * Set's current game and notifies all connections about it.
+   * If networking has server-side module for this game, it's started too.
    *
    * @param {any} game
+   * @param {?Object} schema Normalized schema of game events. All events are allowed without it.
+   * @param {?boolean} binary Should game events be sent in binary format?
+   * Event ids are taken from schema, so it works only for games with schema.
    * @memberof Room
    */
-  setGame(game) {
+  setGame(game, schema = null, binary = false) {
+    this.touch();
+    // Previous game's module shouldn't handle events of new game
+    if (this.gameModule) this.gameModule.dispose();
+    this.gameModule = null;
+
     this.game = game;
-    this.emit('game:set', -1, null, game);
+    this.eventSchema = schema;
+    this.binary = Boolean(binary && schema);
+    this.eventTable = this.binary ? createEventTable(schema) : null;
+    // Audience events are defined by game, so previous game's events are not valid anymore
+    this.audienceEvents = [];
+    if (this.lockOnGameStart) this.setLocked(true);
+    this.emit('game:set', -1, null, game, schema, this.binary);
+
+    const { gameModules } = this.networking;
+    if (typeof game === 'string' && Object.prototype.hasOwnProperty.call(gameModules, game)) {
+      try {
+        this.gameModule = new GameModule(this, game, gameModules[game]);
+      } catch (err) {
+        // Game will run on desktop only
+        console.error(`Can't create game module '${game}': `, err);
+        return;
+      }
+      // Ticking room calls module's onTick itself
+      this.gameModule.start(this.tickRate === 0);
+    }
   }
 
   /**
-   * Disconnects all clients and removes room from global list
+   * Passes game event through server-side game module, if game has it
    *
+   * @param {number} sender Sender connection ID
+   * @param {string} event Event name
+   * @param {Array} args Event arguments
+   * @returns {boolean} True if event should be relayed to it's target
    * @memberof Room
    */
-  dispose() {
-    // Kick all valid clients
-    this.clientConnections.filter(x => x != null).forEach(client => client.leaveRoom(true));
+  routeGameEvent(sender, event, args) {
+    if (!this.gameModule) return true;
+    return this.gameModule.handleEvent(sender, event, args);
+  }
+
+  /**
+   * Disconnects all clients and removes room from room registry
+   *
+   * @param {?Object} status Optional room:status payload, that explains why room was closed
+   * @memberof Room
+   */
+  dispose(status) {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    // Kick all valid clients and host
+    this.clientConnections.filter(x => x != null)
+      .forEach(client => client.leaveRoom(true, status));
+    Object.values(this.audienceConnections).forEach(client => client.leaveRoom(true, status));
+    if (this.hostConnection) this.hostConnection.leaveRoom(true, status);
+    clearTimeout(this.audienceTimeout);
+    // Nobody can rejoin closed room
+    Object.values(this.reservedSlots).forEach(reserved => clearTimeout(reserved.timeout));
+    this.reservedSlots = {};
+    clearTimeout(this.hostTimeout);
+    if (this.gameModule) this.gameModule.dispose();
+    this.gameModule = null;
+    clearTimeout(this.tickTimeout);
+    clearTimeout(this.inputTimeout);
+    clearTimeout(this.idleTimeout);
+    clearInterval(this.qualityInterval);
 
     console.log(`Room disposed: ${this.name}`);
+    this.record('close');
+    if (this.recorder) this.recorder.close();
 
-    delete rooms[this.name];
+    this.networking.adapter.removeRoom(this);
+    this.networking.notify('room:disposed', { room: this, roomName: this.name });
   }
 }
 
@@ -226,14 +1062,58 @@ class Connection {
   constructor(socket, networking) {
     this.networking = networking;
     this.socket = socket;
-    // Client session. Can be used to keep player's game statistics between connects
-    this.session = socket.id; // TODO, just a stub now
+    // Client session. Can be used to keep player's game statistics between connects.
+    // Reconnecting client sends back signed token, that was issued on first connect.
+    this.session = networking.verifySessionToken(socket.handshake.query.session) ||
+      Networking.generateSession(); // eslint-disable-line no-use-before-define
+    // Logged in user. Session keeps it, so client doesn't have to login again after reconnect.
+    this.user = networking.getSessionUser(this.session);
 
     // Client id in room
     this.connectionId = -1;
 
+    // Game requests, that are waiting for this client's response, indexed by request id.
+    // Map is used, so request ids, sent by client, can't match inherited object properties.
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+
+    // Time of last heartbeat answer or event. Clients, that have never answered heartbeat,
+    // don't support them, so only transport timeouts can disconnect them.
+    this.lastSeen = Date.now();
+    this.heartbeatAnswered = false;
+    // Round trip times and lost heartbeats, that are reported to room host.
+    // Samples should cover longer time than loss timeout, or lost heartbeats are never counted.
+    this.quality = new ConnectionQuality({
+      lossTimeout: Math.min(
+        QUALITY_SETTINGS.LOSS_TIMEOUT,
+        (networking.heartbeatInterval * QUALITY_SETTINGS.SAMPLES) / 2,
+      ),
+    });
+
     console.log(`Opened new connection - session: ${this.session}`);
 
+    // Check all incoming events against rate and payload size limits, before they are handled
+    this.limiter = new RateLimiter({
+      limits: networking.rateLimits,
+      maxPayloadSize: networking.maxPayloadSize,
+      action: networking.limitAction,
+    }, networking.limitStats);
+    socket.use(([event, ...args], next) => {
+      // Any event shows that client is alive
+      this.lastSeen = Date.now();
+      // Nobody handles this event, so don't even count it
+      if (socket.listenerCount(event) === 0) return;
+      const violation = this.limiter.check(event, args);
+      if (violation) {
+        this.handleViolation(event, violation);
+      } else {
+        next();
+      }
+    });
+
+    // Send session token, so client can use it on reconnect
+    socket.emit('system:session', networking.createSessionToken(this.session));
+
     // Handle disconnect event
     socket.on('disconnect', () => {
       this.dispose();
@@ -241,17 +1121,35 @@ class Connection {
     });
 
     // A client wants to join to empty room.
-    socket.on('room:open', (password) => {
+    socket.on('room:open', async (password, options) => {
       if (this.isInRoom) return;
-      // eslint-disable-next-line no-use-before-define
-      const roomName = Networking.generateEmptyRoomName();
-      if (roomName) this.openRoom(roomName, password);
+      const roomName = this.networking.generateEmptyRoomName();
+      try {
+        if (roomName) await this.openRoom(roomName, password, options);
+      } catch (err) {
+        console.error('Can\'t open room: ', err);
+      }
     });
 
     // A client wants to join some specific room
-    socket.on('room:join', (roomName, password) => {
+    socket.on('room:join', async (roomName, password, options) => {
       if (this.isInRoom) return;
-      if (roomName) this.joinRoom(roomName, password);
+      // Handler is async, so joinRoom's errors would become unhandled rejections
+      if (!roomName || typeof roomName !== 'string') {
+        socket.emit('room:status', { error: 'error_room_name' });
+        return;
+      }
+      // Client can login with join request, so it can join room, that requires auth, at once
+      if (options && options.auth != null && !this.user) {
+        socket.emit('login', await this.login(options.auth));
+        // Client could leave, while we were waiting for auth provider
+        if (!this.socket || this.isInRoom) return;
+      }
+      try {
+        this.joinRoom(roomName, password, options);
+      } catch (err) {
+        console.error('Can\'t join room: ', err);
+      }
     });
 
     // A clients wants to leave room
@@ -262,44 +1160,173 @@ class Connection {
     });
 
     // Desktop client has chosen game
-    socket.on('game:set', (game) => {
+    socket.on('game:set', (game, schema, options) => {
       // Game can be updated only in room
       if (!this.isInRoom) return;
       // Only desktop can update current game
       if (this.platform === PLATFORM.DESKTOP) {
+        let normalizedSchema = null;
+        if (schema != null) {
+          try {
+            normalizedSchema = normalizeSchema(schema);
+          } catch (err) {
+            // Don't set game with broken schema
+            socket.emit('game:error', { error: 'error_schema_invalid', reason: err.message });
+            return;
+          }
+        }
+        // Host application can change or forbid game
+        const action = this.networking.requestAction('game:set', {
+          connection: this,
+          room: this.room,
+          roomName: this.room.name,
+          game,
+          schema: normalizedSchema,
+          binary: Boolean(options && options.binary),
+        });
+        if (action.isRejected) {
+          socket.emit('game:error', { error: action.rejection });
+          return;
+        }
         // We should update game in current room
-        this.room.setGame(game);
+        this.room.setGame(action.game, action.schema, action.binary);
+      }
+    });
+
+    // Desktop client doesn't want new players to join
+    socket.on('room:lock', () => {
+      if (this.platform === PLATFORM.DESKTOP) this.room.setLocked(true);
+    });
+
+    // Desktop client accepts new players again
+    socket.on('room:unlock', () => {
+      if (this.platform === PLATFORM.DESKTOP) this.room.setLocked(false);
+    });
+
+    // Desktop client removes player from room
+    socket.on('room:kick', (connectionId, reason) => {
+      if (this.platform === PLATFORM.DESKTOP) this.room.kick(connectionId, reason);
+    });
+
+    // Desktop client removes player from room and doesn't let it back
+    socket.on('room:ban', (connectionId, reason) => {
+      if (this.platform === PLATFORM.DESKTOP) this.room.kick(connectionId, reason, true);
+    });
+
+    // Player changes it's name, color or avatar
+    socket.on('profile:update', (changes) => {
+      if (this.platform !== PLATFORM.CONTROLLER) return;
+      const error = this.room.updateProfile(this.connectionId, changes);
+      if (error) socket.emit('profile:error', { error });
+    });
+
+    // Desktop client sets game events, that audience can send
+    socket.on('audience:events', (events) => {
+      if (!this.isInRoom) return;
+      if (this.platform === PLATFORM.DESKTOP && Array.isArray(events)) {
+        this.room.setAudienceEvents(events);
+      }
+    });
+
+    // Generic message type used by games
+    socket.on('game:event', (message) => {
+      if (!this.isInRoom || !message || typeof message !== 'object') return;
+      // Clients spread arguments into listeners, so they must be an array even without schema
+      if (!Array.isArray(message.args)) {
+        socket.emit('game:error', { error: 'error_event_args', event: message.event });
+        return;
+      }
+      this.handleGameEvent(message);
+    });
+
+    // Binary game event. It's decoded and handled just like JSON one.
+    socket.on('game:binary', (data) => {
+      if (!this.isInRoom || !this.room.binary) return;
+      const decoded = decodeGameEvent(this.room.eventTable, data);
+      if (!decoded) {
+        socket.emit('game:error', { error: 'error_binary_invalid' });
+        return;
+      }
+      this.handleGameEvent({
+        event: decoded.event,
+        connectionId: decoded.peer,
+        args: decoded.args,
+      });
+    });
+
+    // Client measures offset of it's clock. Response is sent right away, so server time
+    // is taken as close to the middle of round trip as possible.
+    socket.on('clock:ping', (clientTime) => {
+      if (typeof clientTime !== 'number') return;
+      socket.emit('clock:pong', clientTime, Date.now());
+    });
+
+    // Controller has changed it's input values. Only newest values matter, so client
+    // sends them with volatile emits.
+    socket.on('input:update', (values) => {
+      if (!this.isInRoom || this.platform !== PLATFORM.CONTROLLER) return;
+      if (!values || typeof values !== 'object' || Array.isArray(values)) return;
+      this.room.updateInput(this.connectionId, values);
+    });
+
+    // Client sends a game request and waits for response
+    socket.on('game:request', (message) => {
+      if (!this.isInRoom || this.platform === PLATFORM.AUDIENCE) return;
+      if (!message || typeof message !== 'object') return;
+      if (!Array.isArray(message.args)) {
+        socket.emit('game:response', {
+          requestId: message.requestId,
+          error: 'error_event_args',
+        });
+        return;
+      }
+      const target = this.room.getClientById(message.connectionId);
+      if (!target || target === this) {
+        // There is nobody to respond, so reject request right away
+        socket.emit('game:response', {
+          requestId: message.requestId,
+          error: 'error_request_target',
+        });
+        return;
       }
+      target.request(this.connectionId, message.requestId, message.event, message.args);
     });
 
-    // Generic message type used by games
-    socket.on('game:event', (message) => {
-      if (this.isInRoom) {
-        if (message.connectionId != null && message.connectionId !== -1) {
-          // Dispatch event to special client
-          this.room.emit('game:event', message.connectionId, {
-            sender: this.connectionId,
-            event: message.event,
-            args: message.args,
-          });
-        } else {
-          // Dispatch event to whole room, except sender
-          this.room.emit('game:event', -1, [this.connectionId], {
-            sender: this.connectionId,
-            event: message.event,
-            args: message.args,
-          });
-        }
+    // Client responds to game request
+    socket.on('game:response', (message) => {
+      if (!this.isInRoom) return;
+      // Responses to unknown requests are dropped, so client can't forge them
+      if (!message || !this.pendingRequests.has(message.requestId)) return;
+      const { sender, requestId, timeout } = this.pendingRequests.get(message.requestId);
+      clearTimeout(timeout);
+      this.pendingRequests.delete(message.requestId);
+      // Send response back to requester with it's own request id
+      this.room.emit('game:response', sender, null, {
+        requestId,
+        result: message.result,
+        error: message.error,
+        message: message.message,
+      });
+    });
+
+    // Client wants to change shared room state
+    socket.on('state:patch', (patch, permissions) => {
+      // Audience can only watch state
+      if (!this.isInRoom || this.platform === PLATFORM.AUDIENCE) return;
+      if (!patch || typeof patch !== 'object') return;
+      const rejected = this.room.patchState(this.connectionId, patch, permissions || {});
+      if (rejected.length > 0) {
+        // Notify sender about keys, that weren't written
+        socket.emit('state:error', {
+          error: 'error_state_forbidden',
+          keys: rejected,
+        });
       }
     });
 
-    // Client attempts to send login information.
-    // Probably later we can use restful api for this
-    socket.on('login', (content) => {
-      debug('login: ', content.username, content.password);
-      socket.emit('login', {
-        level: 100,
-      });
+    // Client attempts to send login information or signed token
+    socket.on('login', async (credentials) => {
+      socket.emit('login', await this.login(credentials));
     });
   }
 
@@ -312,6 +1339,8 @@ class Connection {
    */
   get platform() {
     if (this.connectionId === -1) return null; // Connection to socket is not established.
+    // Audience members always have negative ids
+    if (this.connectionId < -1) return PLATFORM.AUDIENCE;
     // Desktop always has id 0
     return this.connectionId === 0 ?
       PLATFORM.DESKTOP :
@@ -328,38 +1357,145 @@ class Connection {
     return this.connectionId !== -1;
   }
 
+  /**
+   * Returns if client has logged in
+   *
+   * @returns {Boolean} If client has logged in
+   * @memberof Connection
+   */
+  get isAuthenticated() {
+    return this.user != null;
+  }
+
+  /**
+   * Checks credentials with auth provider and binds user to connection and it's session
+   *
+   * @param {any} credentials Credentials or signed token, that are passed to auth provider
+   * @returns {Promise<Object>} Resolves with userId and profile on success,
+   * or with localizable error message in error property
+   * @memberof Connection
+   */
+  async login(credentials) {
+    const { authProvider } = this.networking;
+    if (!authProvider) return { error: 'error_auth_unavailable' };
+    let user;
+    try {
+      user = await authProvider.authenticate(credentials);
+    } catch (err) {
+      // Only auth errors can be shown to client
+      if (err instanceof AuthError) return { error: err.message };
+      console.error('Auth provider has failed: ', err);
+      return { error: 'error_auth_failed' };
+    }
+    if (!user || user.id == null) return { error: 'error_auth_invalid' };
+    // Client could disconnect, while provider was working. Connection is disposed then,
+    // so user bound to it's session would never be released.
+    if (!this.socket) return { error: 'error_auth_failed' };
+
+    this.user = { id: user.id, profile: user.profile || {} };
+    this.networking.setSessionUser(this.session, this.user);
+    debug(`login - user: ${this.user.id}, session: ${this.session}`);
+    return { userId: this.user.id, profile: this.user.profile };
+  }
+
+  /**
+   * Reserves room name in adapter's registry
+   *
+   * @param {string} roomName Room name
+   * @throws {RoomError} Throws error, if registry is not reachable
+   * @returns {Promise} A promise that will be resolved with true if name was reserved
+   * @memberof Connection
+   */
+  async reserveRoomName(roomName) {
+    try {
+      return await this.networking.adapter.reserveRoom(roomName);
+    } catch (err) {
+      // Room can't be opened anywhere, until registry is back
+      console.error(`Can't reserve room name '${roomName}': `, err.message);
+      throw new RoomError('error_room_unavailable');
+    }
+  }
+
   /**
    * Makes client to open specific room.
    *
-   * @param {any} roomName Specified room name
+   * @param {any} requestedName Specified room name. Listeners of 'room:create' can change it.
    * @param {?String} password Optional room password
-   * @return {Boolean} Returns true if attempt to open room was successful
+   * @param {?Object} options Room options. See Room constructor for details.
+   * @return {Promise} A promise that will be resolved with true if attempt to open room
+   * was successful
    * @memberof Connection
    */
-  openRoom(roomName, password) {
-    if (this.isInRoom) return false; // Client should leave room first.
-    if (!roomName || typeof roomName !== 'string') throw new Error('Invalid room name');
+  async openRoom(requestedName, password, options) {
+    // Client should leave room first. Only one room can be opened at a time.
+    if (this.isInRoom || this.openingRoom) return false;
+    if (!requestedName || typeof requestedName !== 'string') throw new Error('Invalid room name');
+    const { adapter } = this.networking;
     // Try to create new room
+    let roomName;
+    let reserved = false;
+    let opened = false;
+    this.openingRoom = true;
     try {
-      this.room = new Room(this, roomName, password);
+      // Host application can rename or forbid room
+      const action = this.networking.requestAction('room:create', {
+        connection: this,
+        session: this.session,
+        roomName: requestedName,
+        options: options || {},
+      });
+      if (action.isRejected) throw new RoomError(action.rejection);
+      ({ roomName } = action);
+      if (!roomName || typeof roomName !== 'string') throw new RoomError('error_room_name');
+
+      // Name is reserved in registry first, so two processes can't open rooms with same name
+      reserved = await this.reserveRoomName(roomName);
+      // Other process could take generated name at the same time, so generate another one.
+      // Names, that were chosen by listeners, are not replaced.
+      const generated = roomName === requestedName;
+      /* eslint-disable no-await-in-loop */
+      for (let i = 0; !reserved && generated && i < 5; i += 1) {
+        roomName = this.networking.generateEmptyRoomName();
+        reserved = await this.reserveRoomName(roomName);
+      }
+      /* eslint-enable no-await-in-loop */
+      if (!reserved) throw new RoomError('error_room_exists');
+      // Client could disconnect or join another room, while name was reserved
+      if (!this.socket || this.isInRoom) return false;
+
+      this.room = new Room(this, roomName, password, action.options || {});
+      opened = true;
     } catch (err) {
       // For some reason we can't create this room
       if (err instanceof RoomError) {
-        // Notify user about it
-        this.socket.emit('room:status', {
-          error: err.message,
-        });
+        this.networking.meters.roomErrors.inc({ code: roomErrorLabel(err.message) });
+        // Notify user about it, if it's still connected
+        if (this.socket) {
+          this.socket.emit('room:status', {
+            error: err.message,
+          });
+        }
         return false;
       }
       // We should handle here only room errors
       throw err;
+    } finally {
+      this.openingRoom = false;
+      // Room wasn't opened, so nobody needs reserved name
+      if (reserved && !opened) adapter.releaseRoom(roomName);
     }
     // Host always has 0 id
     this.connectionId = 0;
+    this.networking.meters.joins.inc({ platform: this.platform });
+    this.networking.notify('room:created', { room: this.room, roomName, session: this.session });
     // Say client that we opened room
     this.socket.emit('room:status', {
       connectionId: this.connectionId,
       roomName,
+      state: this.room.getState(),
+      limits: this.room.getLimits(),
+      tickRate: this.room.tickRate,
+      timestamps: this.room.timestamps,
     });
     return true;
   }
@@ -367,16 +1503,28 @@ class Connection {
   /**
    * Makes client to join specific room.
    *
-   * @param {String} roomName Specified room name
+   * @param {String} requestedName Specified room name. It's normalized with room code scheme.
    * @param {?String} password Optional room password
+   * @param {?Object} options Join options
+   * @param {?Boolean} options.audience Join as audience member instead of player
+   * @param {?Object} options.profile Player profile. See 'profile.js' for format.
+   * @param {?any} options.auth Credentials, that are checked before joining.
+   * Handled by 'room:join' listener.
    * @return {Boolean} Returns true if attempt to join was successful
    * @memberof Connection
    */
-  joinRoom(roomName, password) {
+  joinRoom(requestedName, password, options = {}) {
     if (this.isInRoom) return false; // Client should leave room first.
-    if (!roomName || typeof roomName !== 'string') throw new Error('Invalid room name');
-    if (!(roomName in rooms)) {
+    if (!requestedName || typeof requestedName !== 'string') throw new Error('Invalid room name');
+    const { adapter } = this.networking;
+    // Room codes are typed by users, so 'abc d' and 'ABCD' are same room
+    const roomName = this.networking.roomCodes.normalize(requestedName);
+    const room = adapter.getRoom(roomName);
+    if (!room) {
+      // Room can be hosted by another process. Then that process will handle this client.
+      if (adapter.bridge(this, roomName, 'room:join', roomName, password, options)) return true;
       // This room not exists
+      this.networking.meters.roomErrors.inc({ code: 'error_room_not_exists' });
       this.socket.emit('room:status', {
         error: 'error_room_not_exists',
       });
@@ -384,10 +1532,23 @@ class Connection {
     }
     // Try to join to opened room and store received id
     try {
-      this.connectionId = rooms[roomName].join(this, password);
+      // Host application can check client or change it's options, like profile
+      const action = this.networking.requestAction('room:join', {
+        connection: this,
+        session: this.session,
+        room,
+        roomName,
+        options: options || {},
+      });
+      if (action.isRejected) throw new RoomError(action.rejection);
+      const joinOptions = action.options || {};
+      this.connectionId = joinOptions.audience ?
+        room.joinAudience(this, password) :
+        room.join(this, password, joinOptions.profile);
     } catch (err) {
       // For some reason we can't join this room
       if (err instanceof RoomError) {
+        this.networking.meters.roomErrors.inc({ code: roomErrorLabel(err.message) });
         // Notify user about it
         this.socket.emit('room:status', {
           error: err.message,
@@ -399,45 +1560,230 @@ class Connection {
     }
 
     // Store room reference
-    this.room = rooms[roomName];
+    this.room = room;
+    this.networking.meters.joins.inc({ platform: this.platform });
+    this.networking.notify('room:joined', {
+      room,
+      roomName,
+      connectionId: this.connectionId,
+      session: this.session,
+      platform: this.platform,
+    });
 
     // Say client that we joined room
     this.socket.emit('room:status', {
       connections: this.room.getClientConnections(),
       connectionId: this.connectionId,
       roomName,
+      state: this.room.getState(),
+      audienceCount: this.room.getAudienceCount(),
+      limits: this.room.getLimits(),
+      game: this.room.game,
+      schema: this.room.eventSchema,
+      binary: this.room.binary,
+      tickRate: this.room.tickRate,
+      timestamps: this.room.timestamps,
     });
 
     return true;
   }
 
+  /**
+   * Sends game request to this client and remembers requester, so response can be sent back.
+   *
+   * @param {number} sender Requester connection ID
+   * @param {any} requestId Request ID, generated by requester
+   * @param {string} event Requested event name
+   * @param {Array} args Request arguments
+   * @returns {void}
+   * @memberof Connection
+   */
+  request(sender, requestId, event, args) {
+    // Requester's ids can collide with ids of other requesters, so generate own one
+    this.requestCounter += 1;
+    const id = this.requestCounter;
+    // Client can stay connected and never respond, so request is forgotten after timeout
+    const timeout = setTimeout(() => this.expireRequest(id), this.networking.requestTimeout);
+    this.pendingRequests.set(id, { sender, requestId, timeout });
+    this.socket.emit('game:request', {
+      sender,
+      event,
+      args,
+      requestId: id,
+    });
+  }
+
+  /**
+   * Forgets unanswered request and tells requester, that it has timed out
+   *
+   * @param {number} id Request ID, generated by this connection
+   * @returns {void}
+   * @memberof Connection
+   */
+  expireRequest(id) {
+    const request = this.pendingRequests.get(id);
+    if (!request) return;
+    this.pendingRequests.delete(id);
+    if (!this.isInRoom) return;
+    this.room.emit('game:response', request.sender, null, {
+      requestId: request.requestId,
+      error: 'error_request_timeout',
+    });
+  }
+
+  /**
+   * Validates game event from this client and dispatches it to it's target
+   *
+   * @param {Object} message Event message: { event, connectionId, args }
+   * @returns {void}
+   * @memberof Connection
+   */
+  handleGameEvent(message) {
+    // Audience events are always sent to host
+    const to = this.platform === PLATFORM.AUDIENCE ? 0 : message.connectionId;
+    const { eventSchema } = this.room;
+    const error = validateGameEvent(eventSchema, message.event, message.args, this.platform, to);
+    if (error) {
+      // Tell sender, why it's event was rejected
+      this.socket.emit('game:error', { error, event: message.event });
+      return;
+    }
+
+    // Audience can send only whitelisted events and only to host
+    const { audienceEvents } = this.room;
+    if (this.platform === PLATFORM.AUDIENCE && !audienceEvents.includes(message.event)) return;
+    this.room.touch();
+
+    let { event, args } = message;
+    let target = to;
+    if (this.networking.gameEventHooks) {
+      // Host application can change or drop event
+      const action = this.networking.requestAction('game:event', {
+        connection: this,
+        room: this.room,
+        roomName: this.room.name,
+        sender: this.connectionId,
+        event,
+        to,
+        args,
+      });
+      if (action.isRejected) {
+        this.socket.emit('game:error', { error: action.rejection, event });
+        return;
+      }
+      ({ event, args, to: target } = action);
+    }
+    // Server-side game module can handle event itself, instead of relaying it
+    if (!this.room.routeGameEvent(this.connectionId, event, args)) return;
+
+    const payload = { sender: this.connectionId, event, args };
+    // Receive time is same for all recipients, so nobody wins because of faster connection
+    if (this.room.timestamps) payload.time = Date.now();
+    if (target != null && target !== -1) {
+      // Dispatch event to special client. Audience events are always sent to host.
+      this.sendGameEvent(target, null, payload);
+    } else {
+      // Dispatch event to whole room, except sender
+      this.sendGameEvent(-1, [this.connectionId], payload);
+    }
+  }
+
+  /**
+   * Sends game event to room and measures it's fan-out.
+   * Events of binary games are encoded once for all recipients, if encoder can handle them.
+   * Binary format has no place for timestamps, so timestamped events are sent as JSON.
+   *
+   * @param {?Number|Array<Number>} to Target connection ID. See Room.emit for details.
+   * @param {?Number|Array<Number>} exceptId Excepted connection ID
+   * @param {Object} payload Event payload: { sender, event, args }
+   * @returns {void}
+   * @memberof Connection
+   */
+  sendGameEvent(to, exceptId, payload) {
+    const { meters } = this.networking;
+    const size = RateLimiter.getPayloadSize([payload]);
+    meters.gameEvents.inc({ direction: 'in' });
+    meters.gameEventBytes.inc({ direction: 'in' }, size);
+
+    // Ticking room sends broadcasted events with next snapshot
+    if (to === -1 && this.room.tickRate > 0) {
+      this.room.queueInput(payload);
+      return;
+    }
+
+    const start = process.hrtime();
+    const { room } = this;
+    const encoded = room.binary && payload.time == null
+      ? encodeGameEvent(room.eventTable, payload.event, payload.sender, payload.args)
+      : null;
+    const recipients = encoded
+      ? room.emit('game:binary', to, exceptId, Buffer.from(encoded))
+      : room.emit('game:event', to, exceptId, payload);
+    const [seconds, nanoseconds] = process.hrtime(start);
+    meters.emitDuration.observe({}, seconds + (nanoseconds / 1e9));
+
+    meters.gameEvents.inc({ direction: 'out' }, recipients);
+    meters.gameEventBytes.inc({ direction: 'out' }, size * recipients);
+  }
+
   /**
    * Makes client to leave current room
    * If it's host connection room will be closed.
+   * If client hasn't left room by itself, it's slot is reserved for session grace window.
    *
    * @param {boolean} notify - Should we send user a message about it?
+   * @param {?Object} status - Optional room:status payload, that explains why user has left room
    * @returns {void}
    * @memberof Connection
    */
-  leaveRoom(notify) {
+  leaveRoom(notify, status) {
     // Leave only if we are already in some room
     if (this.isInRoom) {
-      // Remove connection reference from room
-      this.room.removeConnection(this.connectionId);
+      const { room, connectionId } = this;
+      this.detachRoom();
 
-      // If disconnected connection is host we should close room.
-      if (this.connectionId === 0) {
-        this.room.dispose();
-      }
+      // Remove connection reference from room.
+      // If disconnected connection is host room will be closed.
+      room.removeConnection(connectionId, !notify);
 
-      // Reset room status
-      this.connectionId = -1;
-      this.room = undefined;
       // Notify user about it
-      if (notify) this.socket.emit('room:status');
+      if (notify) this.socket.emit('room:status', status || {});
     }
   }
 
+  /**
+   * Resets room status of connection without removing it from room.
+   * Room uses it directly, when it replaces connection by itself.
+   *
+   * @returns {void}
+   * @memberof Connection
+   */
+  detachRoom() {
+    const { room, connectionId, platform } = this;
+    this.networking.meters.leaves.inc({ platform });
+
+    // This client won't respond anymore, so reject all requests sent to it
+    this.pendingRequests.forEach(({ sender, requestId, timeout }) => {
+      clearTimeout(timeout);
+      room.emit('game:response', sender, null, {
+        requestId,
+        error: 'error_request_target',
+      });
+    });
+    this.pendingRequests.clear();
+
+    // Reset room status first, so room can't make us leave it twice
+    this.connectionId = -1;
+    this.room = undefined;
+    this.networking.notify('room:left', {
+      room,
+      roomName: room.name,
+      connectionId,
+      session: this.session,
+      platform,
+    });
+  }
+
   /**
    * Removes all connection references, so we can be sure that this class will be noticed by gc.
    *
@@ -446,9 +1792,67 @@ class Connection {
   dispose() {
     // Leave room, so reference can be removed from it.
     this.leaveRoom(false);
+    // Forget logged in user, if client won't come back in time
+    this.networking.releaseSessionUser(this.session);
+    this.networking.removeConnection(this);
     this.socket = undefined;
   }
 
+  /**
+   * Sends heartbeat to client and closes socket, if client has stopped answering them.
+   * Half-open socket doesn't disconnect by itself for a long time,
+   * so without heartbeats it's room would stay opened.
+   *
+   * @param {number} now Current time
+   * @returns {void}
+   * @memberof Connection
+   */
+  heartbeat(now) {
+    // Bridged clients are checked by process, that hosts their room,
+    // so their quality is measured together with bridge delay
+    if (!this.socket || this.socket.bridgedTo != null) return;
+    if (this.heartbeatAnswered && now - this.lastSeen > this.networking.heartbeatTimeout) {
+      console.log(`Heartbeat timeout - id: ${this.connectionId}, session: ${this.session}`);
+      // Disconnect handler disposes connection and leaves room
+      this.socket.disconnect(true);
+      return;
+    }
+    const sample = this.quality.send(now);
+    this.socket.emit('system:heartbeat', () => {
+      this.heartbeatAnswered = true;
+      this.lastSeen = Date.now();
+      this.quality.answer(sample, this.lastSeen);
+    });
+  }
+
+  /**
+   * Executes configured action, when client breaks event limits.
+   * Event itself is always dropped.
+   *
+   * @param {string} event Event name
+   * @param {string} violation Localizable violation code
+   * @returns {void}
+   * @memberof Connection
+   */
+  handleViolation(event, violation) {
+    debug(`limit violation - ${violation}, event: ${event}, session: ${this.session}`);
+    switch (this.limiter.getAction(event)) {
+      case LIMIT_ACTION.WARN: {
+        // Don't flood client with warnings too
+        const now = Date.now();
+        if (this.lastWarning != null && now - this.lastWarning < 1000) return;
+        this.lastWarning = now;
+        this.msgBox({ type: MESSAGE_TYPE.WARNING, text: violation });
+        break;
+      }
+      case LIMIT_ACTION.DISCONNECT:
+        console.log(`Disconnected because of ${violation} - id: ${this.connectionId}, session: ${this.session}`);
+        this.limiter.countDisconnect();
+        this.socket.disconnect(true);
+        break;
+    }
+  }
+
   /**
    * Creates message box for player
    *
@@ -473,16 +1877,129 @@ class Connection {
  *
  * @class Networking
  */
-class Networking {
+class Networking extends EventEmitter {
   /**
    * Creates an instance of Networking.
+   * It's an event emitter of lifecycle events, see 'lifecycle.js'.
    * @param {Object} options Options
    * @param {!Number} options.port Socket.io server port
+   * @param {?String} options.sessionSecret Secret used to sign session tokens.
+   * Random one is generated if not specified, so tokens are valid only for this process.
+   * @param {?Number} options.sessionGraceTime Time in ms, for how long disconnected client's
+   * slot is reserved in room. Set to 0 to disable rejoining.
+   * @param {?Number} options.hostGraceTime Time in ms, for how long room stays opened
+   * after host disconnect. Set to 0 to close room immediately.
+   * @param {?MemoryAdapter} options.adapter Room registry adapter.
+   * Rooms are stored in memory of current process by default.
+   * Use MultiProcessAdapter to share rooms between several processes.
+   * @param {?Number} options.audienceCountInterval Minimal time in ms between audience count
+   * updates, that are sent to host.
+   * @param {?Number} options.requestTimeout Time in ms, after which game request without
+   * response is forgotten and requester gets timeout error
+   * @param {?Object.<string, Object>} options.rateLimits Token bucket limits of incoming events,
+   * in a format of { event: { rate, burst, action } }. Merged with default limits.
+   * Set event's limit to null to remove it.
+   * @param {?Number} options.maxPayloadSize Maximal size of incoming event arguments in bytes.
+   * Set to 0 to disable this limit.
+   * @param {?LIMIT_ACTION} options.limitAction Default action for events, that break limits
+   * @param {?Object} options.authProvider Provider, that checks login credentials.
+   * See auth.js for interface. Use TokenAuthProvider to verify signed tokens.
+   * Login is disabled if not specified.
+   * @param {?String} options.httpPrefix Path prefix of HTTP endpoints: /ping, /stats and /metrics
+   * @param {?String} options.statsToken Token, that is required to read /stats and /metrics.
+   * Should be sent as 'Authorization: Bearer <token>' header or token query parameter.
+   * Stats are public if not specified.
+   * @param {?Number} options.capacity Number of connections, that server is expected to handle.
+   * Used to calculate server load.
+   * @param {?String} options.recordDirectory Directory, where traffic of each room is recorded.
+   * Recording is disabled if not specified. Use client/replay.js to replay recordings.
+   * @param {?Object.<string, Function>} options.gameModules Server-side game modules,
+   * indexed by game name. See 'game.js' for module format.
+   * @param {?Object} options.roomCodes Room code scheme. See 'roomcode.js' for format.
+   * Numeric codes are used by default. Client should use same scheme.
+   * @param {?Boolean} options.gameEventHooks Emit 'game:event' action for each game event
+   * @param {?Number} options.maxIdleTime Time in ms, after which room without game events
+   * is closed. Idle rooms are kept by default (0), unless room sets it's own time.
+   * @param {?Number} options.idleWarningTime Time in ms before closing idle room,
+   * when everyone in it gets warning message box
+   * @param {?Number} options.heartbeatInterval Time in ms between heartbeats.
+   * Set to 0 to disable heartbeats.
+   * @param {?Number} options.heartbeatTimeout Time in ms, after which socket without
+   * heartbeat answers is closed
+   * @param {?Number} options.qualityReportInterval Time in ms between connection quality reports,
+   * that are sent to room hosts. Quality is measured with heartbeats.
+   * Set to 0 to disable reports.
    * @memberof Networking
    */
   constructor(options = {}) {
-    this.connections = [];
+    super();
+    // All opened connections
+    this.connections = new Set();
     this.port = options.port;
+    this.sessionSecret = options.sessionSecret || crypto.randomBytes(32).toString('hex');
+    this.sessionGraceTime = options.sessionGraceTime != null ? options.sessionGraceTime : 30000;
+    this.hostGraceTime = options.hostGraceTime != null ? options.hostGraceTime : 30000;
+    this.adapter = options.adapter || new MemoryAdapter();
+    this.audienceCountInterval = options.audienceCountInterval || 1000;
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.rateLimits = Object.assign({}, DEFAULT_LIMITS, options.rateLimits);
+    this.maxPayloadSize = options.maxPayloadSize != null ?
+      options.maxPayloadSize :
+      DEFAULT_MAX_PAYLOAD_SIZE;
+    this.limitAction = options.limitAction || LIMIT_ACTION.DROP;
+    // Event counters of all connections
+    this.limitStats = RateLimiter.createStats();
+    this.authProvider = options.authProvider || null;
+    // Logged in users, indexed by session
+    this.sessionUsers = {};
+    this.httpPrefix = (options.httpPrefix || '').replace(/\/$/, '');
+    this.statsToken = options.statsToken || null;
+    this.capacity = options.capacity || 1000;
+    this.startTime = Date.now();
+    this.recordDirectory = options.recordDirectory || null;
+    this.gameModules = options.gameModules || {};
+    this.roomCodes = options.roomCodes || new NumericRoomCodes();
+    this.gameEventHooks = !!options.gameEventHooks;
+    this.maxIdleTime = options.maxIdleTime != null ?
+      options.maxIdleTime :
+      ROOM_SETTINGS.MAX_IDLE_TIME;
+    this.idleWarningTime = options.idleWarningTime != null ?
+      options.idleWarningTime :
+      ROOM_SETTINGS.IDLE_WARNING_TIME;
+    this.heartbeatInterval = options.heartbeatInterval != null ?
+      options.heartbeatInterval :
+      CONNECTION_SETTINGS.HEARTBEAT_INTERVAL;
+    this.heartbeatTimeout = options.heartbeatTimeout || CONNECTION_SETTINGS.HEARTBEAT_TIMEOUT;
+    this.qualityReportInterval = options.qualityReportInterval != null ?
+      options.qualityReportInterval :
+      QUALITY_SETTINGS.REPORT_INTERVAL;
+
+    // Prometheus metrics of this process
+    this.metrics = new MetricsRegistry();
+    const { metrics } = this;
+    metrics.gauge(
+      'fonsole_rooms_open', 'Number of rooms, hosted by this process',
+      () => this.adapter.getRooms().length,
+    );
+    metrics.gauge(
+      'fonsole_connections', 'Number of connected sockets',
+      () => this.connections.size,
+    );
+    // Metrics, that are updated by rooms and connections
+    this.meters = {
+      joins: metrics.counter('fonsole_room_joins_total', 'Number of room joins by platform'),
+      leaves: metrics.counter('fonsole_room_leaves_total', 'Number of room leaves by platform'),
+      roomErrors: metrics.counter('fonsole_room_errors_total', 'Number of room errors by code'),
+      // Direction is 'in' for events received from clients and 'out' for events sent to them
+      gameEvents: metrics.counter('fonsole_game_events_total', 'Number of game events'),
+      gameEventBytes: metrics.counter('fonsole_game_event_bytes_total', 'Game events size in bytes'),
+      ticks: metrics.counter('fonsole_ticks_total', 'Number of simulation ticks'),
+      lateTicks: metrics.counter('fonsole_ticks_late_total', 'Number of ticks, that were late'),
+      emitDuration: metrics.histogram(
+        'fonsole_game_event_emit_seconds', 'Time spent on sending game event to all recipients',
+        [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1],
+      ),
+    };
   }
 
   /**
@@ -494,11 +2011,41 @@ class Networking {
   listen() {
     if (this.isReady) throw new Error('Networking.listen was called already');
 
+    // Creating HTTP server for ping and stats requests. Socket.io handles it's own requests itself.
+    this.httpServer = http.createServer((req, res) => this.handleHttpRequest(req, res));
     // Creating socket.io instance
-    this.socket = new SocketIO(this.port);
+    this.socket = new SocketIO(this.httpServer);
+    this.httpServer.listen(this.port);
 
     // Listening to all incoming connections
-    this.socket.on('connect', this.addConnection);
+    this.socket.on('connect', clientSocket => this.addConnection(clientSocket));
+    if (this.heartbeatInterval > 0) {
+      this.heartbeatLoop = setInterval(() => {
+        const now = Date.now();
+        this.connections.forEach(connection => connection.heartbeat(now));
+      }, this.heartbeatInterval);
+    }
+
+    this.adapter.attach(this);
+  }
+
+  /**
+   * Closes all rooms, stops socket.io server and releases room registry
+   *
+   * @returns {void}
+   * @memberof Networking
+   */
+  close() {
+    if (!this.isReady) return;
+    clearInterval(this.heartbeatLoop);
+    this.adapter.getRooms().forEach(room => room.dispose());
+    // Closes HTTP server too
+    this.socket.close();
+    this.socket = undefined;
+    this.httpServer = undefined;
+    this.adapter.close();
+    // Sessions are not valid anymore, so forget their users
+    Object.keys(this.sessionUsers).forEach(session => this.releaseSessionUser(session, true));
   }
 
   /**
@@ -511,6 +2058,30 @@ class Networking {
     return this.socket != null;
   }
 
+  /**
+   * Returns counters of allowed and dropped events of all connections
+   *
+   * @returns {Object} Contains allowed, dropped, violations and disconnected counters
+   * @memberof Networking
+   */
+  getLimitStats() {
+    return JSON.parse(JSON.stringify(this.limitStats));
+  }
+
+  /**
+   * Returns counters of allowed and dropped events of each connected client
+   *
+   * @returns {Array<Object>} Counters with session, connectionId and roomName of each connection
+   * @memberof Networking
+   */
+  getConnectionLimitStats() {
+    return Array.from(this.connections).map(connection => Object.assign({
+      session: connection.session,
+      connectionId: connection.connectionId,
+      roomName: connection.isInRoom ? connection.room.name : null,
+    }, JSON.parse(JSON.stringify(connection.limiter.ownStats))));
+  }
+
   /**
    * A port used by socket.io server
    *
@@ -525,15 +2096,264 @@ class Networking {
    * Creates a connection for client socket
    *
    * @param {Object} clientSocket Connected client's socket
-   * @returns {number} Index in connections array
+   * @returns {Connection} Created connection
    * @memberof Networking
    */
   addConnection(clientSocket) {
-    return new Connection(clientSocket, this);
+    const connection = new Connection(clientSocket, this);
+    this.connections.add(connection);
+    this.notify('connection', { connection, session: connection.session });
+    return connection;
+  }
+
+  /**
+   * Forgets disposed connection
+   *
+   * @param {Connection} connection Disposed connection
+   * @returns {void}
+   * @memberof Networking
+   */
+  removeConnection(connection) {
+    this.connections.delete(connection);
+    this.notify('disconnect', { connection, session: connection.session });
+  }
+
+  /**
+   * Emits lifecycle notification.
+   * Errors of listeners are logged, so host application can't break connections.
+   *
+   * @param {string} event Event name
+   * @param {Object} payload Event payload
+   * @returns {void}
+   * @memberof Networking
+   */
+  notify(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (err) {
+      console.error(`Listener of '${event}' has failed: `, err);
+    }
+  }
+
+  /**
+   * Emits lifecycle action, that listeners can change or veto
+   *
+   * @param {string} event Event name
+   * @param {Object} properties Action properties
+   * @returns {NetworkingAction} Action with properties, changed by listeners.
+   * Action is rejected, if listener has failed, because listener could check permissions.
+   * @memberof Networking
+   */
+  requestAction(event, properties) {
+    const action = new NetworkingAction(properties);
+    try {
+      this.emit(event, action);
+    } catch (err) {
+      console.error(`Listener of '${event}' has failed: `, err);
+      action.reject('error_action_failed');
+    }
+    return action;
+  }
+
+  /**
+   * Calculates server load, that clients can use to choose less busy server
+   *
+   * @returns {number} Ratio of opened connections to server capacity. Can be bigger than 1.
+   * @memberof Networking
+   */
+  getLoad() {
+    return Math.round((this.connections.size / this.capacity) * 1000) / 1000;
+  }
+
+  /**
+   * Collects information about rooms and connections of this process
+   *
+   * @returns {Object} Server stats, that are served by /stats endpoint
+   * @memberof Networking
+   */
+  getStats() {
+    const rooms = this.adapter.getRooms().map(room => ({
+      name: room.name,
+      players: room.getPlayerCount(),
+      audience: room.getAudienceCount(),
+      game: room.game || null,
+      locked: room.locked,
+      hostConnected: room.hostConnection != null,
+      tickRate: room.tickRate,
+      ticks: Object.assign({}, room.tickStats),
+    }));
+    return {
+      uptime: Date.now() - this.startTime,
+      load: this.getLoad(),
+      connections: this.connections.size,
+      roomCount: rooms.length,
+      rooms,
+    };
+  }
+
+  /**
+   * Renders metrics of this process
+   *
+   * @returns {string} Metrics in Prometheus text format
+   * @memberof Networking
+   */
+  getMetrics() {
+    return this.metrics.render();
+  }
+
+  /**
+   * Serves HTTP endpoints:
+   * * /ping - returns 200 status code and server load. Used by clients to measure latency.
+   * * /stats - returns JSON stats, see getStats.
+   * * /metrics - returns Prometheus metrics, see getMetrics.
+   *
+   * @param {http.IncomingMessage} req HTTP request
+   * @param {http.ServerResponse} res HTTP response
+   * @returns {void}
+   * @memberof Networking
+   */
+  handleHttpRequest(req, res) {
+    const { pathname, query } = url.parse(req.url, true);
+    const send = (status, body, contentType = 'application/json') => {
+      res.writeHead(status, {
+        'Content-Type': contentType,
+        'Cache-Control': 'no-cache',
+        // Clients ping servers from any page
+        'Access-Control-Allow-Origin': '*',
+      });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      send(405, { error: 'error_http_method' });
+    } else if (pathname === `${this.httpPrefix}/ping`) {
+      send(200, { load: this.getLoad() });
+    } else if ([`${this.httpPrefix}/stats`, `${this.httpPrefix}/metrics`].includes(pathname)) {
+      const header = req.headers.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.substr(7) : query.token;
+      if (!this.checkStatsToken(token)) {
+        send(401, { error: 'error_http_unauthorized' });
+      } else if (pathname.endsWith('/stats')) {
+        send(200, this.getStats());
+      } else {
+        send(200, this.getMetrics(), 'text/plain; version=0.0.4');
+      }
+    } else {
+      send(404, { error: 'error_http_not_found' });
+    }
+  }
+
+  /**
+   * Checks token, that is required to read stats
+   *
+   * @param {?string} token Token, received with request
+   * @returns {boolean} True if stats can be sent
+   * @memberof Networking
+   */
+  checkStatsToken(token) {
+    if (!this.statsToken) return true;
+    if (!token || typeof token !== 'string') return false;
+    const expected = Buffer.from(this.statsToken);
+    const received = Buffer.from(token);
+    // Compare in constant time, so token can't be guessed by response timings
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Signs session, so client can't forge somebody else's session
+   *
+   * @param {string} session Client session
+   * @returns {string} Session token in a format of session.signature
+   * @memberof Networking
+   */
+  createSessionToken(session) {
+    const signature = crypto.createHmac('sha256', this.sessionSecret).update(session).digest('hex');
+    return `${session}.${signature}`;
+  }
+
+  /**
+   * Checks session token signature
+   *
+   * @param {?string} token Session token, received from client
+   * @returns {?string} Session, if token is valid. Null otherwise.
+   * @memberof Networking
+   */
+  verifySessionToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [session] = token.split('.');
+    const expected = Buffer.from(this.createSessionToken(session));
+    const received = Buffer.from(token);
+    // Compare in constant time, so signature can't be guessed by response timings
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Returns user, that has logged in with this session, and keeps it bound to session
+   *
+   * @param {string} session Client session
+   * @returns {?Object} User with id and profile properties
+   * @memberof Networking
+   */
+  getSessionUser(session) {
+    const entry = this.sessionUsers[session];
+    if (!entry) return undefined;
+    clearTimeout(entry.timeout);
+    entry.timeout = undefined;
+    return entry.user;
+  }
+
+  /**
+   * Binds logged in user to session
+   *
+   * @param {string} session Client session
+   * @param {Object} user User with id and profile properties
+   * @returns {void}
+   * @memberof Networking
+   */
+  setSessionUser(session, user) {
+    this.releaseSessionUser(session, true);
+    this.sessionUsers[session] = { user };
+  }
+
+  /**
+   * Unbinds user from session after session grace time,
+   * unless client reconnects with same session earlier
+   *
+   * @param {string} session Client session
+   * @param {?boolean} immediately Unbind user without waiting
+   * @returns {void}
+   * @memberof Networking
+   */
+  releaseSessionUser(session, immediately = false) {
+    const entry = this.sessionUsers[session];
+    if (!entry) return;
+    clearTimeout(entry.timeout);
+    if (immediately || !(this.sessionGraceTime > 0)) {
+      delete this.sessionUsers[session];
+      return;
+    }
+    entry.timeout = setTimeout(() => {
+      delete this.sessionUsers[session];
+    }, this.sessionGraceTime);
+  }
+
+  /**
+   * Generates new random session
+   *
+   * @static
+   * @returns {string} Random hex string
+   * @memberof Networking
+   */
+  static generateSession() {
+    return crypto.randomBytes(16).toString('hex');
   }
 
   /**
-   * Generates random numeric name for room
+   * Generates random numeric name for room.
+   * Rooms use room code scheme instead, see generateEmptyRoomName.
    *
    * @static
    * @param {?number} length - Room name length
@@ -547,20 +2367,19 @@ class Networking {
   }
 
   /**
-   * Generates room name and makes sure that this room is empty.
+   * Generates room name with room code scheme and makes sure that this room is empty.
    * Room name length is not guaranteed.
    *
-   * @static
-   * @returns {string} - Numeric room name
+   * @returns {string} - Room name
    * @memberof Networking
    */
-  static generateEmptyRoomName() {
-    // Start generating room code from 3 digits
-    for (let num = 3; ; num += 1) {
+  generateEmptyRoomName() {
+    // Start generating room code from minimal length
+    for (let num = ROOM_SETTINGS.LENGTH_MIN; ; num += 1) {
       // Tries to generate room name 100 times. If all of them failed room name length increases
       for (let i = 0; i < 100; i += 1) {
-        const name = Networking.generateRandomRoomName(num);
-        if (!(name in rooms)) {
+        const name = this.roomCodes.generate(num);
+        if (!this.adapter.hasRoom(name)) {
           return name;
         }
       }
@@ -568,4 +2387,15 @@ class Networking {
   }
 }
 
+Networking.MemoryAdapter = MemoryAdapter;
+Networking.MultiProcessAdapter = MultiProcessAdapter;
+Networking.Broker = Broker;
+Networking.LIMIT_ACTION = LIMIT_ACTION;
+Networking.AuthError = AuthError;
+Networking.TokenAuthProvider = TokenAuthProvider;
+Networking.SERVER_SENDER_ID = SERVER_SENDER_ID;
+Networking.AlphabeticRoomCodes = AlphabeticRoomCodes;
+Networking.NumericRoomCodes = NumericRoomCodes;
+Networking.NetworkingAction = NetworkingAction;
+
 module.exports = Networking;
@@ -0,0 +1,72 @@
+/**
+ * @file Player profiles. Each player has a name, color and optional avatar,
+ *       that are shown to all other room members.
+ *
+ *       Profile example:
+ *       { name: 'Alice', color: '#e6194b', avatar: 'https://example.com/alice.png' }
+ */
+
+const { PROFILE_SETTINGS } = require('./enums.js');
+
+/**
+ * Checks profile, received from client. All properties are optional.
+ *
+ * @param {any} profile Requested profile
+ * @returns {?string} Localizable error message or null if profile is valid
+ */
+function validateProfile(profile) {
+  if (profile == null) return null;
+  if (typeof profile !== 'object' || Array.isArray(profile)) return 'error_profile_invalid';
+
+  const { name, color, avatar } = profile;
+  const { NAME_LENGTH_MAX, AVATAR_LENGTH_MAX, COLORS } = PROFILE_SETTINGS;
+  if (name != null && (typeof name !== 'string' || name.trim().length > NAME_LENGTH_MAX)) {
+    return 'error_profile_name';
+  }
+  if (color != null && !COLORS.includes(color)) return 'error_profile_color';
+  if (avatar != null && (typeof avatar !== 'string' || avatar.length > AVATAR_LENGTH_MAX)) {
+    return 'error_profile_avatar';
+  }
+  return null;
+}
+
+/**
+ * Makes name unique by adding a number to it: Alice, Alice 2, Alice 3...
+ * Names are compared case insensitively.
+ *
+ * @param {string} name Requested name
+ * @param {Array<string>} takenNames Names of other players
+ * @returns {string} Unique name
+ */
+function resolveName(name, takenNames) {
+  const taken = takenNames.map(x => x.toLowerCase());
+  if (!taken.includes(name.toLowerCase())) return name;
+  for (let num = 2; ; num += 1) {
+    const suffix = ` ${num}`;
+    // Keep name in length limit, even with suffix
+    const base = name.substr(0, PROFILE_SETTINGS.NAME_LENGTH_MAX - suffix.length).trim();
+    const candidate = `${base}${suffix}`;
+    if (!taken.includes(candidate.toLowerCase())) return candidate;
+  }
+}
+
+/**
+ * Picks color, that isn't used by other players.
+ * Colors are repeated only if room has more players than colors.
+ *
+ * @param {?string} color Requested color
+ * @param {Array<string>} takenColors Colors of other players
+ * @returns {string} Color from PROFILE_SETTINGS.COLORS
+ */
+function pickColor(color, takenColors) {
+  const { COLORS } = PROFILE_SETTINGS;
+  if (color != null && !takenColors.includes(color)) return color;
+  const free = COLORS.find(x => !takenColors.includes(x));
+  return free || COLORS[takenColors.length % COLORS.length];
+}
+
+module.exports = {
+  validateProfile,
+  resolveName,
+  pickColor,
+};
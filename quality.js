@@ -0,0 +1,100 @@
+/**
+ * @file Connection quality estimation. Server sends heartbeats to each client
+ *       and client answers them, so each heartbeat is a round trip sample.
+ *       Heartbeats, that weren't answered in time, are counted as lost.
+ *       Socket.io works over TCP, so lost packets are seen as big delays or lost answers.
+ */
+
+const { QUALITY_SETTINGS } = require('./enums.js');
+
+/**
+ * Returns median of numbers
+ *
+ * @param {Array<number>} values Numbers
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Stores recent heartbeat samples of one connection
+ *
+ * @class ConnectionQuality
+ */
+class ConnectionQuality {
+  /**
+   * Creates an instance of ConnectionQuality.
+   * @param {?Object} options Options
+   * @param {?number} options.size Number of stored samples
+   * @param {?number} options.lossTimeout Time in ms, after which unanswered heartbeat is lost
+   * @memberof ConnectionQuality
+   */
+  constructor(options = {}) {
+    this.size = options.size || QUALITY_SETTINGS.SAMPLES;
+    this.lossTimeout = options.lossTimeout || QUALITY_SETTINGS.LOSS_TIMEOUT;
+    // Samples in a format of { sentAt, rtt }. rtt is null, until heartbeat is answered.
+    this.samples = [];
+  }
+
+  /**
+   * Adds sample of sent heartbeat
+   *
+   * @param {?number} now Time, when heartbeat was sent
+   * @returns {Object} Sample, that should be passed to answer
+   * @memberof ConnectionQuality
+   */
+  send(now = Date.now()) {
+    const sample = { sentAt: now, rtt: null };
+    this.samples.push(sample);
+    if (this.samples.length > this.size) this.samples.shift();
+    return sample;
+  }
+
+  /**
+   * Stores round trip time of answered heartbeat
+   *
+   * @param {Object} sample Sample, returned by send
+   * @param {?number} now Time, when answer was received
+   * @returns {void}
+   * @memberof ConnectionQuality
+   */
+  // eslint-disable-next-line class-methods-use-this
+  answer(sample, now = Date.now()) {
+    sample.rtt = now - sample.sentAt;
+  }
+
+  /**
+   * Calculates quality from recent samples
+   *
+   * @param {?number} now Current time
+   * @returns {?Object} { rtt, jitter, loss } or null, if there are no samples yet.
+   * rtt is median round trip time in ms, jitter is mean difference between consecutive
+   * round trips in ms and loss is part of lost heartbeats from 0 to 1.
+   * @memberof ConnectionQuality
+   */
+  getSummary(now = Date.now()) {
+    // Heartbeats, that can still be answered, are not counted
+    const settled = this.samples.filter(sample => (
+      sample.rtt != null || now - sample.sentAt > this.lossTimeout
+    ));
+    if (settled.length === 0) return null;
+
+    // Late answer is as bad as lost one for a game
+    const answered = settled.filter(sample => sample.rtt != null && sample.rtt <= this.lossTimeout);
+    const rtts = answered.map(sample => sample.rtt);
+    let jitter = 0;
+    for (let i = 1; i < rtts.length; i += 1) jitter += Math.abs(rtts[i] - rtts[i - 1]);
+    if (rtts.length > 1) jitter /= rtts.length - 1;
+
+    return {
+      rtt: rtts.length > 0 ? Math.round(median(rtts)) : null,
+      jitter: Math.round(jitter),
+      loss: Math.round((1 - (answered.length / settled.length)) * 100) / 100,
+    };
+  }
+}
+
+module.exports = ConnectionQuality;
@@ -0,0 +1,68 @@
+/**
+ * @file Room traffic recorder. Writes everything, that room emits, to a JSONL file,
+ *       so session can be replayed later with client/replay.js.
+ *
+ *       Each line is a record:
+ *       { time, type: 'open', room, session, limits } - room was opened
+ *       { time, type: 'emit', event, to, except, args } - room has emitted event
+ *       { time, type: 'close' } - room was disposed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes traffic of one room to a file
+ *
+ * @class RoomRecorder
+ */
+class RoomRecorder {
+  /**
+   * Creates an instance of RoomRecorder and opens recording file
+   * @param {string} directory Directory, where recordings are stored
+   * @param {string} roomName Recorded room name
+   * @memberof RoomRecorder
+   */
+  constructor(directory, roomName) {
+    this.file = path.join(directory, `${roomName}-${Date.now()}.jsonl`);
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    // Recording is a debugging tool, so it should never crash server
+    this.stream.on('error', (err) => {
+      console.error(`Can't write recording ${this.file}: `, err.message);
+      this.stream = undefined;
+    });
+  }
+
+  /**
+   * Writes one record
+   *
+   * @param {string} type Record type
+   * @param {?Object} data Record properties
+   * @returns {void}
+   * @memberof RoomRecorder
+   */
+  record(type, data) {
+    if (!this.stream) return;
+    let line;
+    try {
+      line = JSON.stringify(Object.assign({ time: Date.now(), type }, data));
+    } catch (err) {
+      // Arguments can't be serialized, so they couldn't be sent to clients too
+      return;
+    }
+    this.stream.write(`${line}\n`);
+  }
+
+  /**
+   * Closes recording file
+   *
+   * @returns {void}
+   * @memberof RoomRecorder
+   */
+  close() {
+    if (this.stream) this.stream.end();
+    this.stream = undefined;
+  }
+}
+
+module.exports = RoomRecorder;
@@ -0,0 +1,181 @@
+/**
+ * @file Room code schemes. Used by server to generate room names and by client
+ *       to validate room codes before joining. Client code is server index + room name.
+ *
+ *       Scheme is an object with methods:
+ *       {
+ *         generate(length) {}, // Returns random room name with at least length characters
+ *         normalize(name) {}, // Converts user input to room name, that server uses
+ *         isValid(name) {}, // Checks normalized room name without asking server
+ *       }
+ */
+
+const { ROOM_SETTINGS } = require('./enums.js');
+
+// Letters, that can't be confused with each other or with digits: no I, L, O and U.
+// Check letter algorithm needs alphabet of even length.
+const DEFAULT_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Codes, that contain these words, are never generated.
+// Words with I, L, O and U can't appear in codes of default alphabet anyway.
+const DEFAULT_BLOCKED_WORDS = [
+  'ASS', 'CRAP', 'FAG', 'FCK', 'KKK', 'NGGR', 'NGR', 'PSSY', 'RAPE', 'SEX', 'SHAT',
+  'SHT', 'SPERM', 'TWAT', 'WANK', 'WHRE', 'XXX',
+];
+
+/**
+ * Room codes of random letters with a check letter at the end.
+ * Check letter is calculated with Luhn mod N algorithm, so any mistyped letter
+ * and most of swapped neighbour letters are detected.
+ *
+ * @class AlphabeticRoomCodes
+ */
+class AlphabeticRoomCodes {
+  /**
+   * Creates an instance of AlphabeticRoomCodes.
+   * @param {?Object} options Options
+   * @param {?string} options.alphabet Letters, that codes consist of. Length should be even.
+   * @param {?Array<string>} options.blockedWords Words, that shouldn't appear in codes
+   * @param {?number} options.minLength Minimal number of random letters
+   * @memberof AlphabeticRoomCodes
+   */
+  constructor(options = {}) {
+    this.alphabet = options.alphabet || DEFAULT_ALPHABET;
+    this.blockedWords = options.blockedWords || DEFAULT_BLOCKED_WORDS;
+    this.minLength = options.minLength || ROOM_SETTINGS.LENGTH_MIN;
+  }
+
+  /**
+   * Calculates check letter
+   *
+   * @param {string} body Code without check letter
+   * @returns {?string} Check letter or null, if body contains letters outside of alphabet
+   * @memberof AlphabeticRoomCodes
+   */
+  getCheckLetter(body) {
+    const base = this.alphabet.length;
+    let sum = 0;
+    // Every second letter from the right is doubled
+    let factor = 2;
+    for (let i = body.length - 1; i >= 0; i -= 1) {
+      const value = this.alphabet.indexOf(body[i]);
+      if (value === -1) return null;
+      const addend = factor * value;
+      sum += Math.floor(addend / base) + (addend % base);
+      factor = factor === 2 ? 1 : 2;
+    }
+    return this.alphabet[(base - (sum % base)) % base];
+  }
+
+  /**
+   * Checks if code contains one of blocked words
+   *
+   * @param {string} code Room code
+   * @returns {boolean} True if code is blocked
+   * @memberof AlphabeticRoomCodes
+   */
+  isBlocked(code) {
+    return this.blockedWords.some(word => code.includes(word));
+  }
+
+  /**
+   * Generates random room code
+   *
+   * @param {?number} length Number of random letters. Check letter is added to them.
+   * @returns {string} Room code
+   * @memberof AlphabeticRoomCodes
+   */
+  generate(length = this.minLength) {
+    for (;;) {
+      let body = '';
+      for (let i = 0; i < length; i += 1) {
+        body += this.alphabet[Math.floor(Math.random() * this.alphabet.length)];
+      }
+      const code = body + this.getCheckLetter(body);
+      if (!this.isBlocked(code)) return code;
+    }
+  }
+
+  /**
+   * Converts user input to room code: removes spaces and dashes and makes it upper case
+   *
+   * @param {string} name Room code, typed by user
+   * @returns {string} Normalized room code
+   * @memberof AlphabeticRoomCodes
+   */
+  // eslint-disable-next-line class-methods-use-this
+  normalize(name) {
+    return String(name).replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  /**
+   * Checks length and check letter of normalized room code
+   *
+   * @param {string} name Room code
+   * @returns {boolean} True if code can be valid
+   * @memberof AlphabeticRoomCodes
+   */
+  isValid(name) {
+    if (typeof name !== 'string' || name.length < this.minLength + 1) return false;
+    const body = name.slice(0, -1);
+    return this.getCheckLetter(body) === name[name.length - 1];
+  }
+}
+
+/**
+ * Numeric room codes without check digit. Default scheme, so existing codes and links still work.
+ *
+ * @class NumericRoomCodes
+ */
+class NumericRoomCodes {
+  /**
+   * Creates an instance of NumericRoomCodes.
+   * @param {?Object} options Options
+   * @param {?number} options.minLength Minimal room name length
+   * @memberof NumericRoomCodes
+   */
+  constructor(options = {}) {
+    this.minLength = options.minLength || ROOM_SETTINGS.LENGTH_MIN;
+  }
+
+  /**
+   * Generates random numeric room name
+   *
+   * @param {?number} length Room name length
+   * @returns {string} A random numeric string with fixed length
+   * @memberof NumericRoomCodes
+   */
+  generate(length = this.minLength) {
+    const min = 10 ** (length - 1);
+    const multiplier = min * 9;
+    return `${Math.floor(Math.random() * multiplier) + min}`;
+  }
+
+  /**
+   * Removes spaces and dashes from room name
+   *
+   * @param {string} name Room name, typed by user
+   * @returns {string} Normalized room name
+   * @memberof NumericRoomCodes
+   */
+  // eslint-disable-next-line class-methods-use-this
+  normalize(name) {
+    return String(name).replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Checks that room name is long enough and has only digits
+   *
+   * @param {string} name Room name
+   * @returns {boolean} True if name can be valid
+   * @memberof NumericRoomCodes
+   */
+  isValid(name) {
+    return typeof name === 'string' && name.length >= this.minLength && /^\d+$/.test(name);
+  }
+}
+
+module.exports = {
+  AlphabeticRoomCodes,
+  NumericRoomCodes,
+};
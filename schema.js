@@ -0,0 +1,122 @@
+/**
+ * @file Game event schemas. Used by both server and client to validate game events.
+ *
+ *       Schema example:
+ *       {
+ *         strict: true, // Reject events, that are not declared. True by default.
+ *         events: {
+ *           move: { args: ['number', 'number'], senders: ['controller'], direction: 'to-host' },
+ *           say: { args: ['string', 'object?'] }, // ? suffix makes argument optional
+ *         },
+ *       }
+ */
+
+const { PLATFORM, EVENT_DIRECTION } = require('./enums.js');
+
+/**
+ * Functions, that check argument types
+ */
+const TYPE_CHECKS = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value != null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+};
+
+/**
+ * Checks if object has own property. Event names come from clients,
+ * so names like 'constructor' shouldn't match inherited properties.
+ *
+ * @param {Object} object Checked object
+ * @param {string} key Property name
+ * @returns {boolean} True if object has own property with this name
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Checks schema structure and converts it to a format, that is used by validateGameEvent
+ *
+ * @param {Object} schema Schema, declared by game
+ * @throws {Error} Throws if schema is not valid
+ * @returns {Object} Normalized schema
+ */
+function normalizeSchema(schema) {
+  if (!schema || typeof schema !== 'object' || !schema.events || typeof schema.events !== 'object') {
+    throw new Error('schema.events should be an object');
+  }
+
+  const platforms = Object.values(PLATFORM);
+  const directions = Object.values(EVENT_DIRECTION);
+  const events = {};
+  Object.keys(schema.events).forEach((name) => {
+    const declaration = schema.events[name] || {};
+
+    const args = (declaration.args || []).map((type) => {
+      const optional = typeof type === 'string' && type.endsWith('?');
+      const baseType = optional ? type.slice(0, -1) : type;
+      if (!hasOwn(TYPE_CHECKS, baseType)) throw new Error(`Unknown argument type '${type}' of event '${name}'`);
+      return { type: baseType, optional };
+    });
+
+    // Single sender can be declared without array
+    const senders = declaration.senders == null ?
+      platforms :
+      [].concat(declaration.senders);
+    if (senders.some(sender => !platforms.includes(sender))) {
+      throw new Error(`Unknown sender of event '${name}'`);
+    }
+
+    const direction = declaration.direction || EVENT_DIRECTION.ANY;
+    if (!directions.includes(direction)) throw new Error(`Unknown direction of event '${name}'`);
+
+    events[name] = { args, senders, direction };
+  });
+
+  return {
+    strict: schema.strict !== false,
+    events,
+  };
+}
+
+/**
+ * Checks game event against normalized schema
+ *
+ * @param {?Object} schema Normalized schema. Any event is valid, if it's not specified.
+ * @param {string} event Event name
+ * @param {Array} args Event arguments
+ * @param {PLATFORM} sender Sender platform
+ * @param {?number} to Target connection ID. -1 or null when event is broadcasted.
+ * @returns {?string} Localizable error message or null if event is valid
+ */
+function validateGameEvent(schema, event, args, sender, to) {
+  if (!schema) return null;
+
+  const declaration = hasOwn(schema.events, event) ? schema.events[event] : null;
+  if (!declaration) return schema.strict ? 'error_event_unknown' : null;
+
+  if (!declaration.senders.includes(sender)) return 'error_event_sender';
+
+  const broadcast = to == null || to === -1;
+  if (declaration.direction === EVENT_DIRECTION.TO_HOST && to !== 0) {
+    return 'error_event_direction';
+  }
+  if (declaration.direction === EVENT_DIRECTION.TO_CONTROLLERS && !broadcast && to <= 0) {
+    return 'error_event_direction';
+  }
+
+  if (!Array.isArray(args) || args.length > declaration.args.length) return 'error_event_args';
+  const argsValid = declaration.args.every(({ type, optional }, i) => (
+    (optional && args[i] == null) || TYPE_CHECKS[type](args[i])
+  ));
+  return argsValid ? null : 'error_event_args';
+}
+
+module.exports = {
+  normalizeSchema,
+  validateGameEvent,
+};
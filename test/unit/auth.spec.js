@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { AuthError, TokenAuthProvider } = require('../../auth');
+
+describe('TokenAuthProvider', () => {
+  const provider = new TokenAuthProvider({ secret: 'secret' });
+  const user = { id: 'user-1', profile: { name: 'Ann' } };
+
+  it('requires secret', () => {
+    assert.throws(() => new TokenAuthProvider(), /requires secret/);
+  });
+
+  it('verifies tokens, that it has signed', () => {
+    const token = provider.createToken(user);
+    assert.deepStrictEqual(provider.authenticate(token), user);
+    // Token can be sent inside credentials object too
+    assert.deepStrictEqual(provider.authenticate({ token }), user);
+  });
+
+  it('rejects tokens with changed payload', () => {
+    const [, signature] = provider.createToken(user).split('.');
+    const payload = Buffer.from(JSON.stringify({ id: 'admin' })).toString('base64');
+    assert.throws(() => provider.authenticate(`${payload}.${signature}`), AuthError);
+  });
+
+  it('rejects tokens, that are signed with another secret', () => {
+    const token = new TokenAuthProvider({ secret: 'other' }).createToken(user);
+    assert.throws(() => provider.authenticate(token), /error_auth_invalid/);
+  });
+
+  it('rejects malformed credentials', () => {
+    [undefined, null, '', 42, {}, 'payload', 'payload.', '.signature'].forEach((credentials) => {
+      assert.throws(() => provider.authenticate(credentials), /error_auth_invalid/);
+    });
+  });
+
+  it('rejects expired tokens', () => {
+    assert.throws(() => provider.authenticate(provider.createToken(user, -1000)), /error_auth_expired/);
+    assert.deepStrictEqual(provider.authenticate(provider.createToken(user, 60000)), user);
+  });
+});
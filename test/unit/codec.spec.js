@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { createEventTable, encodeGameEvent, decodeGameEvent } = require('../../codec');
+
+describe('codec', () => {
+  const table = createEventTable({ events: { move: {}, jump: {}, say: {} } });
+
+  /**
+   * Encodes event and returns it's bytes, so tests can break them
+   *
+   * @param {string} event Event name
+   * @param {number} peer Peer connection ID
+   * @param {Array} args Event arguments
+   * @returns {Uint8Array} Encoded message
+   */
+  function encode(event, peer, args) {
+    return new Uint8Array(encodeGameEvent(table, event, peer, args));
+  }
+
+  it('sorts event table, so both sides get same ids', () => {
+    assert.deepStrictEqual(table, ['jump', 'move', 'say']);
+  });
+
+  it('decodes what it has encoded', () => {
+    const args = [
+      0, 1, -1, 300, -70000, 2 ** 40, 0.5, -1.25, true, false, null,
+      [1, -2, 3000], [0.5, 2 ** 40], [],
+    ];
+    const decoded = decodeGameEvent(table, encodeGameEvent(table, 'move', -3, args));
+    assert.deepStrictEqual(decoded, { event: 'move', peer: -3, args });
+  });
+
+  it('decodes Uint8Array and Buffer messages', () => {
+    const bytes = encode('jump', 0, [1]);
+    const expected = { event: 'jump', peer: 0, args: [1] };
+    assert.deepStrictEqual(decodeGameEvent(table, bytes), expected);
+    assert.deepStrictEqual(decodeGameEvent(table, Buffer.from(bytes)), expected);
+  });
+
+  it('leaves events, that it can\'t encode, to JSON', () => {
+    assert.strictEqual(encodeGameEvent(table, 'say', 0, ['text']), null);
+    assert.strictEqual(encodeGameEvent(table, 'say', 0, [{ x: 1 }]), null);
+    assert.strictEqual(encodeGameEvent(table, 'say', 0, [[1, 'a']]), null);
+    assert.strictEqual(encodeGameEvent(table, 'unknown', 0, []), null);
+    assert.strictEqual(encodeGameEvent(table, 'move', 0.5, []), null);
+    assert.strictEqual(encodeGameEvent(table, 'move', 0, 'args'), null);
+  });
+
+  describe('malformed messages', () => {
+    it('rejects values, that are not binary', () => {
+      [null, undefined, 'data', [1, 0, 0, 0], { byteLength: 4 }].forEach((data) => {
+        assert.strictEqual(decodeGameEvent(table, data), null);
+      });
+    });
+
+    it('rejects empty message', () => {
+      assert.strictEqual(decodeGameEvent(table, new Uint8Array(0)), null);
+    });
+
+    it('rejects other format version', () => {
+      const bytes = encode('move', 0, [1]);
+      bytes[0] = 2;
+      assert.strictEqual(decodeGameEvent(table, bytes), null);
+    });
+
+    it('rejects unknown event id', () => {
+      const bytes = encode('move', 0, [1]);
+      bytes[1] = table.length;
+      assert.strictEqual(decodeGameEvent(table, bytes), null);
+    });
+
+    it('rejects truncated message', () => {
+      const bytes = encode('move', 0, [0.5, [1, 2, 3]]);
+      for (let length = 1; length < bytes.length; length += 1) {
+        assert.strictEqual(decodeGameEvent(table, bytes.slice(0, length)), null);
+      }
+    });
+
+    it('rejects bytes after arguments', () => {
+      const bytes = encode('move', 0, [1]);
+      assert.strictEqual(decodeGameEvent(table, Uint8Array.from([...bytes, 0])), null);
+    });
+
+    it('rejects argument count, that is bigger than message', () => {
+      // version, event id, peer, huge varint count
+      const bytes = Uint8Array.from([1, 0, 0, 0xFF, 0xFF, 0xFF, 0x7F]);
+      assert.strictEqual(decodeGameEvent(table, bytes), null);
+    });
+
+    it('rejects array length, that is bigger than message', () => {
+      // version, event id, peer, one argument with int array tag and huge length
+      const bytes = Uint8Array.from([1, 0, 0, 1, 5, 0xFF, 0xFF, 0x7F]);
+      assert.strictEqual(decodeGameEvent(table, bytes), null);
+    });
+
+    it('rejects unknown argument tag', () => {
+      const bytes = Uint8Array.from([1, 0, 0, 1, 42]);
+      assert.strictEqual(decodeGameEvent(table, bytes), null);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { LIMIT_ACTION, RateLimiter } = require('../../limiter');
+
+describe('RateLimiter', () => {
+  const realNow = Date.now;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    Date.now = () => now;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  /**
+   * Creates limiter with one limited event
+   *
+   * @param {?Object} stats Shared counters
+   * @returns {RateLimiter} Limiter
+   */
+  function createLimiter(stats) {
+    return new RateLimiter({
+      limits: {
+        'game:event': { rate: 2, burst: 3 },
+        'room:join': { rate: 1, burst: 1, action: LIMIT_ACTION.DISCONNECT },
+      },
+      maxPayloadSize: 16,
+      action: LIMIT_ACTION.WARN,
+    }, stats);
+  }
+
+  it('allows burst of events and drops the rest', () => {
+    const limiter = createLimiter();
+    const results = [1, 2, 3, 4].map(() => limiter.check('game:event', []));
+    assert.deepStrictEqual(results, [null, null, null, 'error_rate_limit']);
+  });
+
+  it('refills bucket at it\'s rate', () => {
+    const limiter = createLimiter();
+    [1, 2, 3].forEach(() => limiter.check('game:event', []));
+    now += 499;
+    assert.strictEqual(limiter.check('game:event', []), 'error_rate_limit');
+    now += 1;
+    assert.strictEqual(limiter.check('game:event', []), null);
+    // Bucket never holds more than burst
+    now += 60000;
+    const results = [1, 2, 3, 4].map(() => limiter.check('game:event', []));
+    assert.deepStrictEqual(results, [null, null, null, 'error_rate_limit']);
+  });
+
+  it('keeps separate buckets for each event', () => {
+    const limiter = createLimiter();
+    assert.strictEqual(limiter.check('room:join', []), null);
+    assert.strictEqual(limiter.check('room:join', []), 'error_rate_limit');
+    assert.strictEqual(limiter.check('game:event', []), null);
+  });
+
+  it('never throttles events without limit', () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 100; i += 1) assert.strictEqual(limiter.check('state:patch', []), null);
+  });
+
+  it('drops events with big payload', () => {
+    const limiter = createLimiter();
+    assert.strictEqual(limiter.check('state:patch', ['x'.repeat(20)]), 'error_payload_size');
+    const circular = {};
+    circular.self = circular;
+    assert.strictEqual(limiter.check('state:patch', [circular]), 'error_payload_size');
+  });
+
+  it('returns event\'s own action or default one', () => {
+    const limiter = createLimiter();
+    assert.strictEqual(limiter.getAction('room:join'), LIMIT_ACTION.DISCONNECT);
+    assert.strictEqual(limiter.getAction('game:event'), LIMIT_ACTION.WARN);
+  });
+
+  it('counts events in shared and own counters', () => {
+    const stats = RateLimiter.createStats();
+    const first = createLimiter(stats);
+    const second = createLimiter(stats);
+    [1, 2, 3, 4].forEach(() => first.check('game:event', []));
+    second.check('game:event', []);
+    second.countDisconnect();
+
+    assert.deepStrictEqual(stats.allowed, { 'game:event': 4 });
+    assert.deepStrictEqual(stats.dropped, { 'game:event': 1 });
+    assert.strictEqual(stats.violations.error_rate_limit, 1);
+    assert.strictEqual(stats.disconnected, 1);
+    assert.deepStrictEqual(first.ownStats.allowed, { 'game:event': 3 });
+    assert.strictEqual(first.ownStats.disconnected, 0);
+    assert.deepStrictEqual(second.ownStats.allowed, { 'game:event': 1 });
+    assert.strictEqual(second.ownStats.disconnected, 1);
+  });
+});
@@ -0,0 +1,215 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const Networking = require('../../networking');
+
+/**
+ * Socket, that records emitted events instead of sending them.
+ * Client events are passed to connection with receive.
+ *
+ * @class FakeSocket
+ * @extends {EventEmitter}
+ */
+class FakeSocket extends EventEmitter {
+  /**
+   * Creates an instance of FakeSocket.
+   * @param {?string} token Session token, that client sends on connect
+   * @memberof FakeSocket
+   */
+  constructor(token) {
+    super();
+    this.handshake = { query: { session: token } };
+    this.connected = true;
+    this.sent = [];
+  }
+
+  get volatile() {
+    return this;
+  }
+
+  use() {
+    return this;
+  }
+
+  emit(event, ...args) {
+    this.sent.push({ event, args });
+    return true;
+  }
+
+  receive(event, ...args) {
+    super.emit(event, ...args);
+  }
+
+  disconnect() {
+    if (this.connected) {
+      this.connected = false;
+      super.emit('disconnect');
+    }
+    return this;
+  }
+
+  /**
+   * Returns arguments of emitted events
+   *
+   * @param {string} event Event name
+   * @returns {Array<Array>} Arguments of each emitted event
+   */
+  received(event) {
+    return this.sent.filter(x => x.event === event).map(x => x.args);
+  }
+
+  get token() {
+    return this.received('system:session')[0][0];
+  }
+
+  get status() {
+    const statuses = this.received('room:status');
+    return statuses[statuses.length - 1][0];
+  }
+}
+
+// eslint-disable-next-line promise/avoid-new
+const flush = () => new Promise(resolve => setImmediate(resolve));
+// eslint-disable-next-line promise/avoid-new
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Room.join', () => {
+  const { log } = console;
+  let networking;
+
+  /**
+   * Connects new fake client
+   *
+   * @param {?string} token Session token of previous connection
+   * @returns {FakeSocket} Client socket
+   */
+  function connect(token) {
+    const socket = new FakeSocket(token);
+    networking.addConnection(socket);
+    return socket;
+  }
+
+  /**
+   * Opens room and joins one controller to it
+   *
+   * @param {Object} options Networking options
+   * @returns {Promise<Object>} { host, controller, roomName, room }
+   */
+  async function openRoom(options) {
+    networking = new Networking(Object.assign({ heartbeatInterval: 0 }, options));
+    networking.adapter.attach(networking);
+    const host = connect();
+    host.receive('room:open');
+    await flush();
+    const { roomName } = host.status;
+    const controller = connect();
+    controller.receive('room:join', roomName);
+    return {
+      host, controller, roomName, room: networking.adapter.getRoom(roomName),
+    };
+  }
+
+  before(() => {
+    // Rooms and connections log every step
+    console.log = () => {};
+  });
+
+  after(() => {
+    console.log = log;
+  });
+
+  afterEach(() => {
+    networking.adapter.getRooms().forEach(room => room.dispose());
+    networking.connections.forEach(connection => connection.socket.disconnect());
+  });
+
+  describe('host', () => {
+    [0, 1000].forEach((hostGraceTime) => {
+      it(`replaces connected host with same session (grace time ${hostGraceTime})`, async () => {
+        const { host, controller, room } = await openRoom({ hostGraceTime });
+        const newHost = connect(host.token);
+        newHost.receive('room:join', room.name);
+
+        assert.strictEqual(newHost.status.connectionId, 0);
+        assert.ok(!room.disposed);
+        assert.strictEqual(room.hostConnection.socket, newHost);
+        assert.deepStrictEqual(host.status, { error: 'error_host_replaced' });
+        assert.strictEqual(controller.received('room:host-lost').length, 0);
+        assert.strictEqual(controller.received('room:host-restored').length, 1);
+        // Old host connection doesn't take room with it, when it's closed
+        host.disconnect();
+        assert.ok(!room.disposed);
+      });
+    });
+
+    it('keeps room for grace window after host disconnect', async () => {
+      const { host, controller, room } = await openRoom({ hostGraceTime: 50 });
+      host.disconnect();
+      assert.ok(!room.disposed);
+      assert.strictEqual(controller.received('room:host-lost').length, 1);
+
+      const newHost = connect(host.token);
+      newHost.receive('room:join', room.name);
+      assert.strictEqual(newHost.status.connectionId, 0);
+      assert.strictEqual(controller.received('room:host-restored').length, 1);
+      // Timer of lost host is cancelled
+      await wait(100);
+      assert.ok(!room.disposed);
+    });
+
+    it('closes room, if host doesn\'t return in time', async () => {
+      const { host, controller, room } = await openRoom({ hostGraceTime: 20 });
+      host.disconnect();
+      await wait(50);
+      assert.ok(room.disposed);
+      assert.strictEqual(controller.status.connectionId, undefined);
+    });
+
+    it('closes room right away without grace window', async () => {
+      const { host, room } = await openRoom({ hostGraceTime: 0 });
+      host.disconnect();
+      assert.ok(room.disposed);
+    });
+  });
+
+  describe('controller', () => {
+    it('gets it\'s slot back in grace window', async () => {
+      const { host, controller, room } = await openRoom({ sessionGraceTime: 1000 });
+      assert.strictEqual(controller.status.connectionId, 1);
+      controller.disconnect();
+      assert.strictEqual(host.received('connections:disconnect').length, 0);
+
+      const returned = connect(controller.token);
+      returned.receive('room:join', room.name);
+      assert.strictEqual(returned.status.connectionId, 1);
+      assert.strictEqual(host.received('connections:rejoin').length, 1);
+      assert.strictEqual(host.received('connections:join').length, 1);
+    });
+
+    it('replaces connected controller with same session', async () => {
+      const { controller, room } = await openRoom({ sessionGraceTime: 1000 });
+      const returned = connect(controller.token);
+      returned.receive('room:join', room.name);
+      assert.strictEqual(returned.status.connectionId, 1);
+      assert.strictEqual(room.getPlayerCount(), 1);
+      assert.strictEqual(room.getClientById(1).socket, returned);
+    });
+
+    it('frees slot after grace window', async () => {
+      const { host, controller, room } = await openRoom({ sessionGraceTime: 20 });
+      controller.disconnect();
+      await wait(50);
+      assert.deepStrictEqual(host.received('connections:disconnect'), [[1]]);
+
+      const returned = connect(controller.token);
+      returned.receive('room:join', room.name);
+      assert.strictEqual(returned.status.connectionId, 2);
+    });
+
+    it('can\'t join disposed room', async () => {
+      const { room } = await openRoom();
+      const connection = Array.from(networking.connections).find(x => x.connectionId === 1);
+      room.dispose();
+      assert.throws(() => room.join(connection), /error_room_not_exists/);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { AlphabeticRoomCodes, NumericRoomCodes } = require('../../roomcode');
+
+describe('AlphabeticRoomCodes', () => {
+  const codes = new AlphabeticRoomCodes();
+
+  it('generates codes with valid check letter', () => {
+    for (let i = 0; i < 200; i += 1) {
+      const code = codes.generate();
+      assert.strictEqual(code.length, 4);
+      assert.ok(/^[A-Z]+$/.test(code));
+      assert.ok(codes.isValid(code), code);
+    }
+    assert.strictEqual(codes.generate(6).length, 7);
+  });
+
+  it('never uses ambiguous letters', () => {
+    for (let i = 0; i < 200; i += 1) assert.ok(!/[ILOU]/.test(codes.generate()));
+  });
+
+  it('detects every mistyped letter', () => {
+    const code = codes.generate(5);
+    for (let i = 0; i < code.length; i += 1) {
+      codes.alphabet.split('')
+        .filter(letter => letter !== code[i])
+        .forEach((letter) => {
+          const typo = code.slice(0, i) + letter + code.slice(i + 1);
+          assert.ok(!codes.isValid(typo), `${code} -> ${typo}`);
+        });
+    }
+  });
+
+  it('detects swapped neighbour letters', () => {
+    // Luhn mod N misses only few swaps, so check a known code with distinct letters
+    const body = 'BCDFG';
+    const code = body + codes.getCheckLetter(body);
+    for (let i = 0; i < body.length - 1; i += 1) {
+      const swapped = code.slice(0, i) + code[i + 1] + code[i] + code.slice(i + 2);
+      assert.ok(!codes.isValid(swapped), swapped);
+    }
+  });
+
+  it('rejects short codes, letters outside of alphabet and non-strings', () => {
+    assert.ok(!codes.isValid('AB'));
+    assert.ok(!codes.isValid('ABC1'));
+    assert.ok(!codes.isValid('ABCO'));
+    assert.ok(!codes.isValid(1234));
+    assert.ok(!codes.isValid(null));
+  });
+
+  it('normalizes user input', () => {
+    assert.strictEqual(codes.normalize(' ab-cd '), 'ABCD');
+  });
+
+  it('doesn\'t generate blocked words', () => {
+    const blocked = new AlphabeticRoomCodes({ alphabet: 'AB', blockedWords: ['A'] });
+    for (let i = 0; i < 50; i += 1) assert.ok(!blocked.generate(3).includes('A'));
+  });
+});
+
+describe('NumericRoomCodes', () => {
+  const codes = new NumericRoomCodes();
+
+  it('generates numbers with requested length', () => {
+    for (let i = 0; i < 100; i += 1) {
+      const code = codes.generate();
+      assert.ok(/^[1-9]\d\d$/.test(code), code);
+      assert.ok(codes.isValid(code));
+    }
+    assert.strictEqual(codes.generate(5).length, 5);
+  });
+
+  it('accepts only long enough numbers', () => {
+    assert.ok(codes.isValid(codes.normalize('12 34')));
+    assert.ok(!codes.isValid('12'));
+    assert.ok(!codes.isValid('12a'));
+    assert.ok(!codes.isValid(123));
+  });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { PLATFORM, EVENT_DIRECTION } = require('../../enums');
+const { normalizeSchema, validateGameEvent } = require('../../schema');
+
+describe('schema', () => {
+  describe('normalizeSchema', () => {
+    it('fills defaults', () => {
+      const schema = normalizeSchema({ events: { ping: {}, say: { args: ['string', 'object?'] } } });
+      assert.strictEqual(schema.strict, true);
+      assert.deepStrictEqual(schema.events.ping, {
+        args: [],
+        senders: Object.values(PLATFORM),
+        direction: EVENT_DIRECTION.ANY,
+      });
+      assert.deepStrictEqual(schema.events.say.args, [
+        { type: 'string', optional: false },
+        { type: 'object', optional: true },
+      ]);
+    });
+
+    it('accepts single sender without array', () => {
+      const schema = normalizeSchema({ events: { move: { senders: PLATFORM.CONTROLLER } } });
+      assert.deepStrictEqual(schema.events.move.senders, [PLATFORM.CONTROLLER]);
+    });
+
+    it('rejects schema without events', () => {
+      [null, 'schema', {}, { events: 'move' }].forEach((schema) => {
+        assert.throws(() => normalizeSchema(schema), /schema.events/);
+      });
+    });
+
+    it('rejects unknown argument types, senders and directions', () => {
+      assert.throws(() => normalizeSchema({ events: { a: { args: ['text'] } } }), /argument type/);
+      assert.throws(() => normalizeSchema({ events: { a: { args: ['constructor'] } } }), /argument type/);
+      assert.throws(() => normalizeSchema({ events: { a: { senders: ['server'] } } }), /sender/);
+      assert.throws(() => normalizeSchema({ events: { a: { direction: 'up' } } }), /direction/);
+    });
+  });
+
+  describe('validateGameEvent', () => {
+    const schema = normalizeSchema({
+      events: {
+        move: {
+          args: ['number', 'number', 'integer?'],
+          senders: [PLATFORM.CONTROLLER],
+          direction: EVENT_DIRECTION.TO_HOST,
+        },
+        score: { args: ['object'], senders: [PLATFORM.DESKTOP], direction: EVENT_DIRECTION.TO_CONTROLLERS },
+        chat: { args: ['string'] },
+      },
+    });
+
+    it('allows any event without schema', () => {
+      assert.strictEqual(validateGameEvent(null, 'anything', [1], PLATFORM.CONTROLLER, -1), null);
+    });
+
+    it('accepts valid events', () => {
+      assert.strictEqual(validateGameEvent(schema, 'move', [1, 2], PLATFORM.CONTROLLER, 0), null);
+      assert.strictEqual(validateGameEvent(schema, 'move', [1, 2, 3], PLATFORM.CONTROLLER, 0), null);
+      assert.strictEqual(validateGameEvent(schema, 'move', [1, 2, null], PLATFORM.CONTROLLER, 0), null);
+      assert.strictEqual(validateGameEvent(schema, 'score', [{}], PLATFORM.DESKTOP, -1), null);
+      assert.strictEqual(validateGameEvent(schema, 'score', [{}], PLATFORM.DESKTOP, 2), null);
+      assert.strictEqual(validateGameEvent(schema, 'chat', ['hi'], PLATFORM.AUDIENCE, 0), null);
+    });
+
+    it('rejects undeclared events only in strict schema', () => {
+      assert.strictEqual(validateGameEvent(schema, 'jump', [], PLATFORM.CONTROLLER, 0), 'error_event_unknown');
+      const loose = normalizeSchema({ strict: false, events: {} });
+      assert.strictEqual(validateGameEvent(loose, 'jump', [], PLATFORM.CONTROLLER, 0), null);
+    });
+
+    it('doesn\'t match inherited properties as events', () => {
+      ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach((event) => {
+        assert.strictEqual(validateGameEvent(schema, event, [], PLATFORM.CONTROLLER, 0), 'error_event_unknown');
+      });
+    });
+
+    it('checks sender platform', () => {
+      assert.strictEqual(validateGameEvent(schema, 'move', [1, 2], PLATFORM.DESKTOP, 0), 'error_event_sender');
+    });
+
+    it('checks direction', () => {
+      assert.strictEqual(validateGameEvent(schema, 'move', [1, 2], PLATFORM.CONTROLLER, -1), 'error_event_direction');
+      assert.strictEqual(validateGameEvent(schema, 'move', [1, 2], PLATFORM.CONTROLLER, 3), 'error_event_direction');
+      assert.strictEqual(validateGameEvent(schema, 'score', [{}], PLATFORM.DESKTOP, 0), 'error_event_direction');
+    });
+
+    it('checks arguments', () => {
+      [
+        undefined, 'args', [1], [1, '2'], [1, NaN], [1, 2, 0.5], [1, 2, 3, 4],
+      ].forEach((args) => {
+        assert.strictEqual(validateGameEvent(schema, 'move', args, PLATFORM.CONTROLLER, 0), 'error_event_args');
+      });
+      [[null], [[]], ['score']].forEach((args) => {
+        assert.strictEqual(validateGameEvent(schema, 'score', args, PLATFORM.DESKTOP, -1), 'error_event_args');
+      });
+    });
+  });
+});